@@ -120,6 +120,7 @@ declare type ASTElement = {
   attrs?: Array<ASTAttr>;
   dynamicAttrs?: Array<ASTAttr>;
   props?: Array<ASTAttr>;
+  modelModifiers?: Array<ASTAttr>;
   plain?: boolean;
   pre?: true;
   ns?: string;
@@ -163,6 +164,7 @@ declare type ASTElement = {
     value: string;
     callback: string;
     expression: string;
+    modifiers?: ?string;
   };
 
   directives?: Array<ASTDirective>;
@@ -1,6 +1,7 @@
 import type { Config } from '../src/core/config'
 import type VNode from '../src/core/vdom/vnode'
 import type Watcher from '../src/core/observer/watcher'
+import type { EffectScope } from '../src/core/observer/effect-scope'
 
 declare interface Component {
   // constructor information
@@ -22,6 +23,7 @@ declare interface Component {
   // public properties
   $el: any; // so that we can attach __vue__ to it
   $data: Object;
+  $asyncComputed: ?Object;
   $props: Object;
   $options: ComponentOptions;
   $parent: Component | void;
@@ -42,6 +44,8 @@ declare interface Component {
   $set: <T>(target: Object | Array<T>, key: string | number, val: T) => T;
   $delete: <T>(target: Object | Array<T>, key: string | number) => void;
   $watch: (expOrFn: string | Function, cb: Function, options?: Object) => Function;
+  $watchEffect: (effect: Function, options?: Object) => Function;
+  $provide: (key: string | Symbol, value: any) => Component;
   $on: (event: string | Array<string>, fn: Function) => Component;
   $once: (event: string, fn: Function) => Component;
   $off: (event?: string | Array<string>, fn?: Function) => Component;
@@ -58,9 +62,14 @@ declare interface Component {
   _renderContext: ?Component;
   _watcher: Watcher;
   _watchers: Array<Watcher>;
+  _scope: EffectScope;
   _computedWatchers: { [key: string]: Watcher };
+  _asyncComputed: ?Object;
+  _asyncComputedPromises: ?Array<Promise<any>>;
+  _suspenseContent: ?Component;
   _data: Object;
   _props: Object;
+  _setupState: ?Object;
   _events: Object;
   _inactive: boolean | null;
   _directInactive: boolean;
@@ -71,6 +80,7 @@ declare interface Component {
   _staticTrees: ?Array<VNode>; // v-once cached trees
   _hasHookEvent: boolean;
   _provided: ?Object;
+  _providedReactive: ?true;
   // _virtualComponents?: { [key: string]: Component };
 
   // private methods
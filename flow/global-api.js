@@ -2,6 +2,7 @@ declare interface GlobalAPI {
   cid: number;
   options: Object;
   config: Config;
+  version: string;
   util: Object;
 
   extend: (options: Object) => Function;
@@ -17,6 +18,33 @@ declare interface GlobalAPI {
   filter: (id: string, def?: Function) => Function | void;
 
   observable: <T>(value: T) => T;
+  shallowObservable: <T>(value: T) => T;
+  readonly: <T: Object>(value: T) => T;
+  markRaw: <T>(value: T) => T;
+  toRaw: <T>(value: T) => T;
+
+  untracked: <T>(fn: () => T) => T;
+  batch: <T>(fn: () => T) => T;
+
+  inspectDeps: (vm: Component) => ?Object;
+
+  effectScope: (detached?: boolean) => Object;
+  getCurrentScope: () => ?Object;
+  onScopeDispose: (fn: Function) => void;
+
+  createApp: (rootOptions?: Object) => Object;
+
+  getCurrentInstance: () => ?Component;
+  onBeforeMount: (fn: Function) => void;
+  onMounted: (fn: Function) => void;
+  onBeforeUpdate: (fn: Function) => void;
+  onUpdated: (fn: Function) => void;
+  onBeforeUnmount: (fn: Function) => void;
+  onUnmounted: (fn: Function) => void;
+  onActivated: (fn: Function) => void;
+  onDeactivated: (fn: Function) => void;
+  onErrorCaptured: (fn: Function) => void;
+  onServerPrefetch: (fn: Function) => void;
 
   // allow dynamic method registration
   [key: string]: any
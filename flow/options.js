@@ -19,11 +19,14 @@ declare type ComponentOptions = {
     [key: string]: Function | {
       get?: Function;
       set?: Function;
-      cache?: boolean
+      cache?: boolean;
+      onTrack?: Function;
+      onTrigger?: Function
     }
   };
   methods?: { [key: string]: Function };
   watch?: { [key: string]: Function | string };
+  setup?: (props: Object, context: Object) => ?Object | Function;
 
   // DOM
   el?: string | Element;
@@ -45,6 +48,8 @@ declare type ComponentOptions = {
   destroyed?: Function;
   errorCaptured?: () => boolean | void;
   serverPrefetch?: Function;
+  renderTracked?: Function;
+  renderTriggered?: Function;
 
   // assets
   directives?: { [key: string]: Object };
@@ -54,7 +59,10 @@ declare type ComponentOptions = {
 
   // context
   provide?: { [key: string | Symbol]: any } | () => { [key: string | Symbol]: any };
-  inject?: { [key: string]: InjectKey | { from?: InjectKey, default?: any }} | Array<string>;
+  inject?: { [key: string]: InjectKey | { from?: InjectKey, default?: any, reactive?: boolean }} | Array<string>;
+
+  // declared events, normalized to their payload validators
+  emits?: { [key: string]: ?Function };
 
   // component v-model customization
   model?: {
@@ -80,6 +88,8 @@ declare type ComponentOptions = {
   _componentTag: ?string;
   _scopeId: ?string;
   _base: Class<Component>;
+  _app?: Object;
+  _customElement?: HTMLElement;
 };
 
 declare type PropOptions = {
@@ -87,4 +97,9 @@ declare type PropOptions = {
   default: any;
   required: ?boolean;
   validator: ?Function;
+  nullable?: ?boolean;
+  enum?: ?Array<any>;
+  oneOf?: ?Array<any>;
+  shape?: ?{ [key: string]: any };
+  items?: any;
 }
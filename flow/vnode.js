@@ -36,6 +36,7 @@ declare interface VNodeData {
   key?: string | number;
   slot?: string;
   ref?: string;
+  refInFor?: boolean;
   is?: string;
   pre?: boolean;
   tag?: string;
@@ -58,10 +59,12 @@ declare interface VNodeData {
   };
   directives?: Array<VNodeDirective>;
   keepAlive?: boolean;
+  pendingInsert?: ?Array<VNode>;
   scopedSlots?: { [key: string]: Function };
   model?: {
     value: any;
     callback: Function;
+    modifiers?: { [key: string]: true };
   };
 };
 
@@ -256,6 +256,10 @@ export function genData (el: ASTElement, state: CodegenState): string {
   if (el.props) {
     data += `domProps:${genProps(el.props)},`
   }
+  // modifiers of named component v-models
+  if (el.modelModifiers) {
+    data += `props:${genProps(el.modelModifiers)},`
+  }
   // event handlers
   if (el.events) {
     data += `${genHandlers(el.events, false)},`
@@ -280,6 +284,8 @@ export function genData (el: ASTElement, state: CodegenState): string {
       el.model.callback
     },expression:${
       el.model.expression
+    }${
+      el.model.modifiers ? `,modifiers:${el.model.modifiers}` : ''
     }},`
   }
   // inline-template
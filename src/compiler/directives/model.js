@@ -1,16 +1,24 @@
 /* @flow */
 
+import { camelize, hyphenate } from 'shared/util'
+import { addAttr, addHandler } from 'compiler/helpers'
+
+// modifiers applied by the compiler, the others are passed to the child
+const builtInModifiers = ['trim', 'number', 'lazy']
+
 /**
  * Cross-platform code generation for component v-model
  */
 export function genComponentModel (
   el: ASTElement,
   value: string,
-  modifiers: ?ASTModifiers
+  modifiers: ?ASTModifiers,
+  arg?: ?string,
+  isDynamicArg?: boolean
 ): ?boolean {
   const { number, trim } = modifiers || {}
 
-  const baseValueExpression = '$$v'
+  const baseValueExpression = arg ? '$event' : '$$v'
   let valueExpression = baseValueExpression
   if (trim) {
     valueExpression =
@@ -22,11 +30,76 @@ export function genComponentModel (
     valueExpression = `_n(${valueExpression})`
   }
   const assignment = genAssignmentCode(value, valueExpression)
+  const customModifiers = genCustomModifiers(modifiers)
+
+  if (arg) {
+    // named v-model: bound to the prop named by the argument and updated
+    // by the matching update:xxx event, like .sync
+    genNamedModel(el, value, arg, !!isDynamicArg, assignment, customModifiers)
+    return
+  }
 
   el.model = {
     value: `(${value})`,
     expression: JSON.stringify(value),
-    callback: `function (${baseValueExpression}) {${assignment}}`
+    callback: `function (${baseValueExpression}) {${assignment}}`,
+    modifiers: customModifiers
+  }
+}
+
+function genNamedModel (
+  el: ASTElement,
+  value: string,
+  arg: string,
+  isDynamicArg: boolean,
+  assignment: string,
+  customModifiers: ?string
+) {
+  if (isDynamicArg) {
+    addAttr(el, arg, value, undefined, true)
+    if (customModifiers) {
+      addModelModifiers(el, `(${arg})+"Modifiers"`, customModifiers, true)
+    }
+    addHandler(el, `"update:"+(${arg})`, assignment, null, false, undefined, undefined, true)
+    return
+  }
+  const prop = camelize(arg)
+  addAttr(el, prop, value)
+  if (customModifiers) {
+    addModelModifiers(el, `${prop}Modifiers`, customModifiers, false)
+  }
+  addHandler(el, `update:${prop}`, assignment, null, false)
+  if (hyphenate(arg) !== prop) {
+    addHandler(el, `update:${hyphenate(arg)}`, assignment, null, false)
+  }
+}
+
+// the modifiers are passed like render function props rather than attrs, so
+// that they never fall through to $attrs when the child doesn't declare them
+function addModelModifiers (
+  el: ASTElement,
+  name: string,
+  value: string,
+  dynamic: boolean
+) {
+  (el.modelModifiers || (el.modelModifiers = [])).push({ name, value, dynamic })
+  el.plain = false
+}
+
+// modifiers the compiler doesn't handle, e.g. v-model.capitalize, which are
+// passed to the child as a modelModifiers (or xxxModifiers) prop
+function genCustomModifiers (modifiers: ?ASTModifiers): ?string {
+  if (!modifiers) return
+  const res = {}
+  let hasCustom = false
+  for (const key in modifiers) {
+    if (builtInModifiers.indexOf(key) === -1) {
+      res[key] = true
+      hasCustom = true
+    }
+  }
+  if (hasCustom) {
+    return JSON.stringify(res)
   }
 }
 
@@ -99,9 +99,9 @@ export function parse (
   delimiters = options.delimiters
 
   const stack = []
+  const roots: Array<ASTElement> = []
   const preserveWhitespace = options.preserveWhitespace !== false
   const whitespaceOption = options.whitespace
-  let root
   let currentParent
   let inVPre = false
   let inPre = false
@@ -120,28 +120,20 @@ export function parse (
       element = processElement(element, options)
     }
     // tree management
-    if (!stack.length && element !== root) {
-      // allow root elements with v-if, v-else-if and v-else
-      if (root.if && (element.elseif || element.else)) {
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(element)
-        }
-        addIfCondition(root, {
-          exp: element.elseif,
-          block: element
-        })
-      } else if (process.env.NODE_ENV !== 'production') {
-        warnOnce(
-          `Component template should contain exactly one root element. ` +
-          `If you are using v-if on multiple elements, ` +
-          `use v-else-if to chain them instead.`,
-          { start: element.start }
-        )
+    if (!stack.length) {
+      if (process.env.NODE_ENV !== 'production') {
+        checkRootConstraints(element)
+      }
+      // multiple root elements are rendered as a fragment
+      if (element.elseif || element.else) {
+        processIfConditions(element, roots)
+      } else {
+        roots.push(element)
       }
     }
     if (currentParent && !element.forbidden) {
       if (element.elseif || element.else) {
-        processIfConditions(element, currentParent)
+        processIfConditions(element, currentParent.children)
       } else {
         if (element.slotScope) {
           // scoped slot
@@ -189,9 +181,9 @@ export function parse (
   }
 
   function checkRootConstraints (el) {
-    if (el.tag === 'slot' || el.tag === 'template') {
+    if (el.tag === 'slot') {
       warnOnce(
-        `Cannot use <${el.tag}> as component root element because it may ` +
+        `Cannot use <slot> as component root element because it may ` +
         'contain multiple nodes.',
         { start: el.start }
       )
@@ -286,13 +278,6 @@ export function parse (
         processOnce(element)
       }
 
-      if (!root) {
-        root = element
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(root)
-        }
-      }
-
       if (!unary) {
         currentParent = element
         stack.push(element)
@@ -384,8 +369,7 @@ export function parse (
       }
     },
     comment (text: string, start, end) {
-      // adding anything as a sibling to the root node is forbidden
-      // comments should still be allowed, but ignored
+      // comments outside of the root elements are allowed, but ignored
       if (currentParent) {
         const child: ASTText = {
           type: 3,
@@ -400,7 +384,16 @@ export function parse (
       }
     }
   })
-  return root
+
+  if (roots.length > 1) {
+    const fragment = createASTElement('template', [], undefined)
+    roots.forEach(root => {
+      root.parent = fragment
+      fragment.children.push(root)
+    })
+    return fragment
+  }
+  return roots[0]
 }
 
 function processPre (el) {
@@ -550,8 +543,8 @@ function processIf (el) {
   }
 }
 
-function processIfConditions (el, parent) {
-  const prev = findPrevElement(parent.children)
+function processIfConditions (el, siblings) {
+  const prev = findPrevElement(siblings)
   if (prev && prev.if) {
     addIfCondition(prev, {
       exp: el.elseif,
@@ -1,5 +1,7 @@
 import KeepAlive from './keep-alive'
+import Suspense from './suspense'
 
 export default {
-  KeepAlive
+  KeepAlive,
+  Suspense
 }
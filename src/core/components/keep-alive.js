@@ -7,6 +7,10 @@ type CacheEntry = {
   name: ?string;
   tag: ?string;
   componentInstance: Component;
+  // when the entry was last rendered, used by maxAge
+  timestamp: number;
+  // evicts the entry once it's older than maxAge
+  expirationTimer: any;
 };
 
 type CacheEntryMap = { [key: string]: ?CacheEntry };
@@ -27,14 +31,25 @@ function matches (pattern: string | RegExp | Array<string>, name: string): boole
   return false
 }
 
+// keys returned by the cacheKey prop are matched by include/exclude as well
+function matchesEntry (
+  pattern: string | RegExp | Array<string>,
+  name: ?string,
+  customKey: ?string
+): boolean {
+  return (!!name && matches(pattern, name)) ||
+    (customKey != null && matches(pattern, String(customKey)))
+}
+
 function pruneCache (keepAliveInstance: any, filter: Function) {
-  const { cache, keys, _vnode } = keepAliveInstance
+  const { cache, cacheKey } = keepAliveInstance
   for (const key in cache) {
     const entry: ?CacheEntry = cache[key]
     if (entry) {
       const name: ?string = entry.name
-      if (name && !filter(name)) {
-        pruneCacheEntry(cache, key, keys, _vnode)
+      const customKey: ?string = cacheKey ? key : null
+      if ((name || customKey != null) && !filter(name, customKey)) {
+        keepAliveInstance.evict(key)
       }
     }
   }
@@ -47,7 +62,13 @@ function pruneCacheEntry (
   current?: VNode
 ) {
   const entry: ?CacheEntry = cache[key]
-  if (entry && (!current || entry.tag !== current.tag)) {
+  if (entry) {
+    clearTimeout(entry.expirationTimer)
+  }
+  // the instance currently rendered is destroyed once replaced. Compare
+  // instances rather than tags: the entries of a cacheKey share the tag of
+  // the rendered child, so comparing tags would never destroy them
+  if (entry && (!current || entry.componentInstance !== current.componentInstance)) {
     entry.componentInstance.$destroy()
   }
   cache[key] = null
@@ -63,25 +84,84 @@ export default {
   props: {
     include: patternTypes,
     exclude: patternTypes,
-    max: [String, Number]
+    max: [String, Number],
+    // time in ms after which entries that haven't been rendered are evicted
+    maxAge: [String, Number],
+    // (vnode) => key of the cache entry of the child, e.g. to cache a view
+    // per route param instead of per component
+    cacheKey: Function
   },
 
+  emits: ['cache', 'evict'],
+
   methods: {
     cacheVNode() {
       const { cache, keys, vnodeToCache, keyToCache } = this
+      const now = Date.now()
+      const lastKey = this.renderedKey
+      this.renderedKey = this.keyToRender
+      if (lastKey !== this.renderedKey) {
+        // the entry that was rendered until now starts aging, the one
+        // rendered again stops
+        if (lastKey != null && cache[lastKey]) {
+          (cache[lastKey]: any).timestamp = now
+          this.scheduleExpiration(lastKey)
+        }
+        if (this.renderedKey != null && cache[this.renderedKey]) {
+          this.scheduleExpiration(this.renderedKey)
+        }
+      }
       if (vnodeToCache) {
         const { tag, componentInstance, componentOptions } = vnodeToCache
         cache[keyToCache] = {
           name: getComponentName(componentOptions),
           tag,
           componentInstance,
+          timestamp: now,
+          expirationTimer: null
         }
         keys.push(keyToCache)
+        this.vnodeToCache = null
+        this.$emit('cache', keyToCache, componentInstance)
         // prune oldest entry
         if (this.max && keys.length > parseInt(this.max)) {
-          pruneCacheEntry(cache, keys[0], keys, this._vnode)
+          this.evict(keys[0])
         }
-        this.vnodeToCache = null
+      }
+    },
+
+    /**
+     * Remove an entry from the cache and destroy its instance, or all of
+     * them if no key is given. The instance currently rendered is only
+     * destroyed once it gets replaced.
+     */
+    evict (key?: string) {
+      if (key == null) {
+        this.keys.slice().forEach(key => this.evict(key))
+        return
+      }
+      const entry: ?CacheEntry = this.cache[key]
+      if (entry) {
+        pruneCacheEntry(this.cache, key, this.keys, this._vnode)
+        this.$emit('evict', key, entry.componentInstance)
+      }
+    },
+
+    // (re)start the timer evicting an entry that isn't rendered once it's
+    // older than maxAge
+    scheduleExpiration (key: string) {
+      const entry: CacheEntry = (this.cache[key]: any)
+      clearTimeout(entry.expirationTimer)
+      entry.expirationTimer = null
+      const maxAge = parseInt(this.maxAge)
+      if (!maxAge || key === this.renderedKey) {
+        return
+      }
+      const delay = entry.timestamp + maxAge - Date.now()
+      if (delay <= 0) {
+        this.evict(key)
+      } else {
+        entry.expirationTimer = setTimeout(() => this.evict(key), delay)
       }
     }
   },
@@ -92,6 +172,7 @@ export default {
   },
 
   destroyed () {
+    // also clears the expiration timers
     for (const key in this.cache) {
       pruneCacheEntry(this.cache, key, this.keys)
     }
@@ -100,10 +181,13 @@ export default {
   mounted () {
     this.cacheVNode()
     this.$watch('include', val => {
-      pruneCache(this, name => matches(val, name))
+      pruneCache(this, (name, key) => matchesEntry(val, name, key))
     })
     this.$watch('exclude', val => {
-      pruneCache(this, name => !matches(val, name))
+      pruneCache(this, (name, key) => !matchesEntry(val, name, key))
+    })
+    this.$watch('maxAge', () => {
+      this.keys.slice().forEach(key => this.scheduleExpiration(key))
     })
   },
 
@@ -115,15 +199,24 @@ export default {
     const slot = this.$slots.default
     const vnode: VNode = getFirstComponentChild(slot)
     const componentOptions: ?VNodeComponentOptions = vnode && vnode.componentOptions
+    this.keyToRender = null
     if (componentOptions) {
+      const { cacheKey } = this
+      const customKey: ?string = cacheKey ? cacheKey(vnode) : null
+      if (customKey != null) {
+        // patch a child rendered with another key as a different vnode, so
+        // that it doesn't reuse the instance of the previous entry
+        vnode.key = customKey
+      }
+
       // check pattern
       const name: ?string = getComponentName(componentOptions)
       const { include, exclude } = this
       if (
         // not included
-        (include && (!name || !matches(include, name))) ||
+        (include && !matchesEntry(include, name, customKey)) ||
         // excluded
-        (exclude && name && matches(exclude, name))
+        (exclude && matchesEntry(exclude, name, customKey))
       ) {
         return vnode
       }
@@ -145,6 +238,7 @@ export default {
         this.keyToCache = key
       }
 
+      this.keyToRender = key
       vnode.data.keepAlive = true
     }
     return vnode || (slot && slot[0])
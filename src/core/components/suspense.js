@@ -0,0 +1,235 @@
+/* @flow */
+
+// Shows a fallback until the async dependencies of its content are ready:
+// async components that are still loading and async computed properties that
+// are still pending. In the meantime the content is mounted off-document by
+// an inner instance, which is then inserted in place instead of being
+// re-created. Dependencies that show up once the content is displayed are
+// handled by the components themselves, like outside of a <suspense>.
+
+import { noop, isDef, isUndef } from 'shared/util'
+import { nextTick, isServerRendering } from 'core/util/index'
+import { onAsyncFactorySettled } from 'core/vdom/helpers/index'
+import { createComponentInstanceForVnode } from 'core/vdom/create-component'
+import { updateChildComponent } from 'core/instance/lifecycle'
+
+const isNotWhitespace = (c: VNode) => c.tag || c.isComment || (c.text && c.text.trim())
+
+function renderSlot (vm: Component, name: string): ?Array<VNode> {
+  const slot = vm.$scopedSlots[name]
+  const nodes: ?Array<VNode> = slot && (slot(): any)
+  return nodes && nodes.filter(isNotWhitespace)
+}
+
+const SuspenseContent = {
+  name: 'suspense-content',
+  abstract: true,
+  beforeCreate () {
+    // components created in the content delay their insert hooks until the
+    // content is inserted
+    this._suspenseContent = this
+  },
+  render () {
+    return renderSlot(this, 'default')
+  }
+}
+
+// async component factories and async computed states that aren't settled yet
+function collectPendingDeps (vnode: VNode, deps: Array<Object>) {
+  const factory: any = vnode.asyncFactory
+  // still loading, or resolved but its placeholder not re-rendered yet
+  if (isDef(factory) && (isUndef(factory.resolved) ? !factory.settled : vnode.isComment)) {
+    deps.push(factory)
+  }
+  const child = vnode.componentInstance
+  if (isDef(child)) {
+    const states = child._asyncComputed
+    if (states) {
+      for (const key in states) {
+        if (states[key].pending) deps.push(states[key])
+      }
+    }
+    if (child._vnode) {
+      collectPendingDeps(child._vnode, deps)
+    }
+  }
+  const children = vnode.children
+  if (children) {
+    for (let i = 0; i < children.length; i++) {
+      collectPendingDeps(children[i], deps)
+    }
+  }
+}
+
+export default {
+  name: 'suspense',
+  abstract: true,
+
+  emits: ['pending', 'fallback', 'resolve'],
+
+  props: {
+    // how long to wait before showing the fallback, so that content that
+    // resolves quickly doesn't flash it
+    timeout: [Number, String]
+  },
+
+  created () {
+    // on the server, the renderer already waits for async components,
+    // async computed properties and serverPrefetch hooks before rendering
+    // the content
+    this._pending = !isServerRendering()
+    this._showFallback = isUndef(this.timeout)
+    this._content = null
+    this._deps = []
+    // removes the watchers and callbacks set up for the dependencies
+    this._stopDeps = []
+    this._checkId = 0
+    this._timer = null
+  },
+
+  render (h: Function) {
+    if (this._pending && !this._isMounted && this.$el) {
+      // hydrating server-rendered content, which is already resolved
+      this._pending = false
+    }
+    if (!this._pending) {
+      return this._content
+        ? this.takeContent()
+        : this.createContent()
+    }
+    // the content is mounted off-document once this is rendered, see
+    // mounted and updated
+    return this._showFallback && this._isMounted
+      ? renderSlot(this, 'fallback')
+      : h()
+  },
+
+  methods: {
+    createContent (): VNode {
+      return this.$createElement(SuspenseContent, {
+        scopedSlots: { default: this.$scopedSlots.default }
+      })
+    },
+
+    mountContent () {
+      const vnode: MountedComponentVNode = (this.createContent(): any)
+      const prev = this._content
+      if (prev) {
+        // keep the hidden content up to date
+        const child = vnode.componentInstance = prev.componentInstance
+        vnode.data.pendingInsert = prev.data.pendingInsert
+        updateChildComponent(child, undefined, undefined, vnode, undefined)
+      } else {
+        const child = vnode.componentInstance = createComponentInstanceForVnode(vnode, this)
+        child.$mount(undefined)
+      }
+      this._content = vnode
+    },
+
+    // the mounted content, to be inserted as is by the patch
+    takeContent (): VNode {
+      const vnode = this._content
+      this._content = null
+      vnode.data.hook.init = noop
+      return vnode
+    },
+
+    isReady (): boolean {
+      const deps = []
+      collectPendingDeps(this._content, deps)
+      for (let i = 0; i < deps.length; i++) {
+        const dep = deps[i]
+        if (this._deps.indexOf(dep) > -1) continue
+        this._deps.push(dep)
+        this._stopDeps.push(typeof dep === 'function'
+          ? onAsyncFactorySettled(dep, this.scheduleCheck)
+          : this.$watch(() => dep.pending, this.scheduleCheck)
+        )
+      }
+      return !deps.length
+    },
+
+    stopWatchingDeps () {
+      const stops = this._stopDeps
+      for (let i = 0; i < stops.length; i++) {
+        stops[i]()
+      }
+      this._stopDeps = []
+      this._deps = []
+    },
+
+    scheduleCheck () {
+      // wait for the components that depended on it to re-render, they may
+      // have async dependencies of their own. Only the latest check counts:
+      // the content may have been updated again since the previous one was
+      // scheduled, and that update only happens in a later flush.
+      const id = ++this._checkId
+      nextTick(() => {
+        if (
+          id === this._checkId &&
+          this._pending && !this._isDestroyed && this.isReady()
+        ) {
+          this.resolve()
+        }
+      })
+    },
+
+    resolve () {
+      this._pending = false
+      clearTimeout(this._timer)
+      this.stopWatchingDeps()
+      this.$forceUpdate()
+      this.$nextTick(() => this.$emit('resolve'))
+    },
+
+    // re-render right away instead of in the next flush, so that the
+    // placeholder rendered before the content was mounted is never painted
+    renderNow () {
+      this._watcher.run()
+    }
+  },
+
+  mounted () {
+    if (!this._pending) {
+      this.$emit('resolve')
+      return
+    }
+    this.mountContent()
+    if (this.isReady()) {
+      this._pending = false
+      this.renderNow()
+      this.$emit('resolve')
+      return
+    }
+    this.$emit('pending')
+    if (this._showFallback) {
+      this.renderNow()
+      this.$emit('fallback')
+    } else {
+      this._timer = setTimeout(() => {
+        if (this._pending && !this._isDestroyed) {
+          this._showFallback = true
+          this.$forceUpdate()
+          this.$nextTick(() => this.$emit('fallback'))
+        }
+      }, Number(this.timeout))
+    }
+  },
+
+  updated () {
+    if (this._pending) {
+      this.mountContent()
+      // the update may add or remove dependencies
+      this.scheduleCheck()
+    }
+  },
+
+  beforeDestroy () {
+    clearTimeout(this._timer)
+    this.stopWatchingDeps()
+    if (this._content) {
+      this._content.componentInstance.$destroy()
+      this._content = null
+    }
+  }
+}
@@ -6,7 +6,7 @@ import {
   identity
 } from 'shared/util'
 
-import { LIFECYCLE_HOOKS } from 'shared/constants'
+import { LIFECYCLE_HOOKS, MAX_UPDATE_COUNT } from 'shared/constants'
 
 export type Config = {
   // user
@@ -28,6 +28,9 @@ export type Config = {
   getTagNamespace: (x?: string) => string | void;
   mustUseProp: (tag: string, type: ?string, name: string) => boolean;
 
+  flushTimeBudget: number;
+  maxUpdateCount: number;
+
   // private
   async: boolean;
 
@@ -117,6 +120,20 @@ export default ({
    */
   mustUseProp: no,
 
+  /**
+   * Time budget (in ms) for a single scheduler flush. When greater than 0,
+   * a flush that runs longer yields to the browser and resumes in the next
+   * macrotask, so large update bursts don't block the main thread. Note
+   * that nextTick callbacks may then run before the whole flush is done.
+   */
+  flushTimeBudget: 0,
+
+  /**
+   * Number of times a watcher may be re-queued within a single flush before
+   * it is considered an infinite update loop (development only).
+   */
+  maxUpdateCount: MAX_UPDATE_COUNT,
+
   /**
    * Perform updates asynchronously. Intended to be used by Vue Test Utils
    * This will significantly reduce performance if set to false.
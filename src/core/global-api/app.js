@@ -0,0 +1,107 @@
+/* @flow */
+
+import { ASSET_TYPES } from 'shared/constants'
+import { warn, extend, hasOwn } from '../util/index'
+
+// statics of Vue that the app's constructor must not share
+const appOwnStatics = ['config', 'createApp', '_installedPlugins']
+
+export function initCreateApp (Vue: GlobalAPI) {
+  /**
+   * Create an application whose registrations (components, directives,
+   * filters, mixins, plugins and provided values) only apply to its own
+   * tree, instead of every Vue instance of the page.
+   */
+  Vue.createApp = function (rootOptions?: Object): Object {
+    // the app has its own base constructor, which the plain-object
+    // components of its tree are extended from instead of Vue
+    const App = this.extend()
+    // detached from Vue: re-merging its options when the global ones change
+    // would drop the app's own registrations
+    App.super = undefined
+    App.options._base = App
+    // plugins installed with app.use() expect the rest of the global API
+    // (Vue.version, Vue.util, Vue.set...) on the constructor they receive
+    Object.getOwnPropertyNames(Vue).forEach(key => {
+      if (!hasOwn(App, key) && appOwnStatics.indexOf(key) === -1) {
+        Object.defineProperty(App, key, (Object.getOwnPropertyDescriptor(Vue, key): any))
+      }
+    })
+
+    const app: Object = {
+      version: Vue.version,
+      // falls back to the global config for the fields it doesn't set
+      config: extend(Object.create(Vue.config), {
+        errorHandler: undefined,
+        warnHandler: undefined,
+        // properties available on every instance of the app, what
+        // Vue.prototype is for the whole page
+        globalProperties: App.prototype
+      }),
+      _provides: Object.create(null),
+      _instance: null,
+
+      // plugins are installed on the app's constructor, so existing plugins
+      // calling Vue.component(), Vue.mixin() etc. register on the app only
+      use () {
+        App.use.apply(App, arguments)
+        return app
+      },
+
+      mixin (mixin: Object) {
+        App.mixin(mixin)
+        return app
+      },
+
+      provide (key: string | Symbol, value: any) {
+        if (process.env.NODE_ENV !== 'production' && (key: any) in app._provides) {
+          warn(`App already provides property with key "${String(key)}". It will be overwritten.`)
+        }
+        app._provides[key] = value
+        return app
+      },
+
+      mount (el?: string | Element, hydrating?: boolean): Component {
+        if (app._instance) {
+          process.env.NODE_ENV !== 'production' && warn(
+            'App has already been mounted. Create a new app instance with ' +
+            'Vue.createApp() to mount it again.'
+          )
+          return app._instance
+        }
+        app._instance = new App(rootOptions)
+        return app._instance.$mount(el, hydrating)
+      },
+
+      unmount () {
+        const vm = app._instance
+        if (!vm) {
+          process.env.NODE_ENV !== 'production' && warn(
+            'Cannot unmount an app that is not mounted.'
+          )
+          return
+        }
+        app._instance = null
+        vm.$destroy()
+        const el = vm.$el
+        if (el && el.parentNode) {
+          el.parentNode.removeChild(el)
+        }
+      }
+    }
+
+    ASSET_TYPES.forEach(type => {
+      app[type] = function (id: string, definition?: Function | Object) {
+        if (!definition) {
+          return App[type](id)
+        }
+        App[type](id, definition)
+        return app
+      }
+    })
+
+    App.config = app.config
+    App.options._app = app
+    return app
+  }
+}
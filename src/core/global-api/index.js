@@ -5,10 +5,32 @@ import { initUse } from './use'
 import { initMixin } from './mixin'
 import { initExtend } from './extend'
 import { initAssetRegisters } from './assets'
+import { initCreateApp } from './app'
 import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
-import { observe } from 'core/observer/index'
+import { observe, markRaw, toRaw } from 'core/observer/index'
+import { readonly } from 'core/observer/readonly'
+import { untracked, batch } from 'core/observer/dep'
+import { inspectDeps } from 'core/observer/inspect'
+import {
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from 'core/observer/effect-scope'
+import {
+  getCurrentInstance,
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onServerPrefetch
+} from 'core/instance/setup'
 
 import {
   warn,
@@ -51,6 +73,38 @@ export function initGlobalAPI (Vue: GlobalAPI) {
     return obj
   }
 
+  // only the root level of a shallow observable is reactive
+  Vue.shallowObservable = <T>(obj: T): T => {
+    observe(obj, false, true)
+    return obj
+  }
+
+  Vue.readonly = readonly
+  Vue.markRaw = markRaw
+  Vue.toRaw = toRaw
+
+  Vue.untracked = untracked
+  Vue.batch = batch
+
+  Vue.inspectDeps = inspectDeps
+
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+  Vue.onScopeDispose = onScopeDispose
+
+  // lifecycle registration from setup()
+  Vue.getCurrentInstance = getCurrentInstance
+  Vue.onBeforeMount = onBeforeMount
+  Vue.onMounted = onMounted
+  Vue.onBeforeUpdate = onBeforeUpdate
+  Vue.onUpdated = onUpdated
+  Vue.onBeforeUnmount = onBeforeUnmount
+  Vue.onUnmounted = onUnmounted
+  Vue.onActivated = onActivated
+  Vue.onDeactivated = onDeactivated
+  Vue.onErrorCaptured = onErrorCaptured
+  Vue.onServerPrefetch = onServerPrefetch
+
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
     Vue.options[type + 's'] = Object.create(null)
@@ -66,4 +120,5 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   initMixin(Vue)
   initExtend(Vue)
   initAssetRegisters(Vue)
+  initCreateApp(Vue)
 }
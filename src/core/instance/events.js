@@ -2,12 +2,17 @@
 
 import {
   tip,
+  warn,
+  hasOwn,
   toArray,
+  camelize,
   hyphenate,
+  emptyObject,
+  ErrorInfo,
   formatComponentName,
   invokeWithErrorHandling
 } from '../util/index'
-import { updateListeners } from '../vdom/helpers/index'
+import { updateListeners, normalizeEvent } from '../vdom/helpers/index'
 
 export function initEvents (vm: Component) {
   vm._events = Object.create(null)
@@ -49,6 +54,36 @@ export function updateComponentListeners (
   target = undefined
 }
 
+/**
+ * The listeners exposed as vm.$listeners. Events declared in the emits
+ * option are the component's own and don't fall through.
+ */
+export function resolveFallthroughListeners (vm: Component, listeners: ?Object): Object {
+  const emits = vm.$options.emits
+  if (!listeners || !emits) {
+    return listeners || emptyObject
+  }
+  const res = {}
+  for (const key in listeners) {
+    if (!resolveEmitsKey(emits, normalizeEvent(key).name)) {
+      res[key] = listeners[key]
+    }
+  }
+  return res
+}
+
+/**
+ * Events can be declared, emitted and listened to either camelCased or
+ * hyphenated, get the key an event is declared under in the emits option.
+ */
+function resolveEmitsKey (emits: Object, event: string): ?string {
+  if (hasOwn(emits, event)) return event
+  const camelizedEvent = camelize(event)
+  if (hasOwn(emits, camelizedEvent)) return camelizedEvent
+  const hyphenatedEvent = hyphenate(event)
+  if (hasOwn(emits, hyphenatedEvent)) return hyphenatedEvent
+}
+
 export function eventsMixin (Vue: Class<Component>) {
   const hookRE = /^hook:/
   Vue.prototype.$on = function (event: string | Array<string>, fn: Function): Component {
@@ -128,14 +163,26 @@ export function eventsMixin (Vue: Class<Component>) {
           `You should probably use "${hyphenate(event)}" instead of "${event}".`
         )
       }
+      const emits = vm.$options.emits
+      if (emits && !hookRE.test(event)) {
+        const emitsKey = resolveEmitsKey(emits, event)
+        if (!emitsKey) {
+          warn(
+            `Component emitted event "${event}" but it is not declared ` +
+            `in the emits option.`,
+            vm
+          )
+        } else if (emits[emitsKey] && !emits[emitsKey].apply(null, toArray(arguments, 1))) {
+          warn(`Invalid event arguments: event validation failed for event "${event}".`, vm)
+        }
+      }
     }
     let cbs = vm._events[event]
     if (cbs) {
       cbs = cbs.length > 1 ? toArray(cbs) : cbs
       const args = toArray(arguments, 1)
-      const info = `event handler for "${event}"`
       for (let i = 0, l = cbs.length; i < l; i++) {
-        invokeWithErrorHandling(cbs[i], vm, args, vm, info)
+        invokeWithErrorHandling(cbs[i], vm, args, vm, ErrorInfo.EVENT_HANDLER, event)
       }
     }
     return vm
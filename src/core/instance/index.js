@@ -1,5 +1,6 @@
 import { initMixin } from './init'
 import { stateMixin } from './state'
+import { provideMixin } from './inject'
 import { renderMixin } from './render'
 import { eventsMixin } from './events'
 import { lifecycleMixin } from './lifecycle'
@@ -16,6 +17,7 @@ function Vue (options) {
 
 initMixin(Vue)
 stateMixin(Vue)
+provideMixin(Vue)
 eventsMixin(Vue)
 lifecycleMixin(Vue)
 renderMixin(Vue)
@@ -8,6 +8,8 @@ import { initEvents } from './events'
 import { mark, measure } from '../util/perf'
 import { initLifecycle, callHook } from './lifecycle'
 import { initProvide, initInjections } from './inject'
+import { initSetup } from './setup'
+import { EffectScope, setActiveEffectScope } from '../observer/effect-scope'
 import { extend, mergeOptions, formatComponentName } from '../util/index'
 
 let uid = 0
@@ -28,6 +30,10 @@ export function initMixin(Vue: Class<Component>) {
 
     // a flag to avoid this being observed
     vm._isVue = true
+    // the watchers created by the instance's own options and hooks follow its
+    // lifecycle, rather than that of a scope it is created in
+    vm._scope = new EffectScope(true /* detached */)
+    vm._scope.vm = vm
     // merge options
     if (options && options._isComponent) {
       /**
@@ -71,11 +77,16 @@ export function initMixin(Vue: Class<Component>) {
     // 调用 beforeCreate 钩子函数
     callHook(vm, 'beforeCreate')
     // 初始化组件的 inject 配置项，得到 result[key] = val 形式的配置对象，然后对结果数据进行响应式处理，并代理每个 key 到 vm 实例
+    const prevScope = setActiveEffectScope(vm._scope)
     initInjections(vm) // resolve injections before data/props
+    // setup() receives the props, what it returns is available to data(),
+    // computed properties, methods and watchers
+    initSetup(vm)
     // 数据响应式的重点，处理props、methods、data、computed、watch
     initState(vm)
     // 解析组件配置项上的 provide 对象，将其挂载到 vm._provided 属性上
     initProvide(vm) // resolve provide after data/props
+    setActiveEffectScope(prevScope)
     // 调用 created 钩子函数
     callHook(vm, 'created')
 
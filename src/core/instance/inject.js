@@ -1,7 +1,15 @@
 /* @flow */
 
-import { hasOwn } from 'shared/util'
-import { warn, hasSymbol } from '../util/index'
+import Watcher from '../observer/watcher'
+import { pushTarget, popTarget } from '../observer/dep'
+import { hasOwn, noop } from 'shared/util'
+import {
+  warn,
+  hasSymbol,
+  handleError,
+  ErrorInfo,
+  isServerRendering
+} from '../util/index'
 import { defineReactive, toggleObserving } from '../observer/index'
 
 /**
@@ -11,10 +19,74 @@ export function initProvide (vm: Component) {
   const provide = vm.$options.provide
   if (provide) {
     vm._provided = typeof provide === 'function'
-      ? provide.call(vm)
+      ? callProvide(vm, provide)
       : provide
   }
 }
+
+function callProvide (vm: Component, provide: Function): ?Object {
+  try {
+    return provide.call(vm)
+  } catch (e) {
+    handleError(e, vm, ErrorInfo.PROVIDE)
+  }
+}
+
+/**
+ * Provided values only become reactive once an injection declared with
+ * `reactive: true` is linked to them, or when $provide() is used. From then
+ * on a provide function is re-evaluated when the state it reads changes,
+ * like a computed property.
+ */
+function makeProvidedReactive (vm: Component): Object {
+  if (vm._providedReactive) return (vm._provided: any)
+  vm._providedReactive = true
+  // the provide object of the options is shared by all instances
+  const provided = {}
+  setProvided(provided, vm._provided)
+  vm._provided = provided
+  const provide = vm.$options.provide
+  if (typeof provide === 'function' && !isServerRendering()) {
+    new Watcher(
+      vm,
+      () => callProvide(vm, provide),
+      values => setProvided(provided, values)
+    )
+  }
+  return provided
+}
+
+function setProvided (provided: Object, values: ?Object) {
+  if (!values) return
+  const keys = hasSymbol
+    ? Reflect.ownKeys(values).filter(key =>
+      (Object.getOwnPropertyDescriptor((values: any), key): any).enumerable
+    )
+    : Object.keys(values)
+  for (let i = 0; i < keys.length; i++) {
+    const key: any = keys[i]
+    if (hasOwn(provided, key)) {
+      provided[key] = values[key]
+    } else {
+      // shallow: provided objects are only observed if they already were
+      defineReactive(provided, key, values[key], null, true)
+    }
+  }
+}
+
+export function provideMixin (Vue: Class<Component>) {
+  /**
+   * Provide a value, or update a provided one, after creation. Injections
+   * linked to it (reactive: true) are updated, other injections only get
+   * the value if they are resolved afterwards.
+   */
+  Vue.prototype.$provide = function (key: string | Symbol, value: any): Component {
+    const vm: Component = this
+    setProvided(makeProvidedReactive(vm), { [(key: any)]: value })
+    return vm
+  }
+}
+
 /**
  * 初始化 inject 配置项
  * 1、得到 result[key] = val
@@ -22,14 +94,25 @@ export function initProvide (vm: Component) {
  */
 export function initInjections (vm: Component) {
   // 解析 inject 配置项，然后从祖代组件的配置中找到配置项中每一个 key 对应的 val，最后得到 result[key] = val 的结果
-  const result = resolveInject(vm.$options.inject, vm)
+  // normalized to the object format by mergeOptions()
+  const inject: any = vm.$options.inject
+  // the parent's render watcher is active while its children are created,
+  // make sure it doesn't track the provided values read here
+  pushTarget()
+  const result = resolveInject(inject, vm)
+  popTarget()
   // 对 result 做数据响应式处理，也有代理 inject 配置中每个 key 到 vm 实例的作用
   // 不建议在子组件去更改这些数据，因为一旦祖代组件中注入的 provide 发生更改，你在组件中做的更改就会被覆盖
   if (result) {
     toggleObserving(false)
     Object.keys(result).forEach(key => {
-      /* istanbul ignore else */
-      if (process.env.NODE_ENV !== 'production') {
+      const provider = inject[key].reactive
+        ? resolveProvider(inject[key].from, vm)
+        : null
+      if (provider) {
+        makeProvidedReactive(provider)
+        linkInjection(vm, key, provider, inject[key].from)
+      } else if (process.env.NODE_ENV !== 'production') {
         defineReactive(vm, key, result[key], () => {
           warn(
             `Avoid mutating an injected value directly since the changes will be ` +
@@ -59,16 +142,15 @@ export function resolveInject (inject: any, vm: Component): ?Object {
       // #6574 in case the inject object is observed...
       if (key === '__ob__') continue
       const provideKey = inject[key].from
-      let source = vm
-      while (source) {
-        if (source._provided && hasOwn(source._provided, provideKey)) {
-          result[key] = source._provided[provideKey]
-          break
-        }
-        source = source.$parent
-      }
-      if (!source) {
-        if ('default' in inject[key]) {
+      const source = resolveProvider(provideKey, vm)
+      if (source) {
+        result[key] = (source._provided: any)[provideKey]
+      } else {
+        // values provided by the app created with Vue.createApp()
+        const app = vm.$root.$options._app
+        if (app && provideKey in app._provides) {
+          result[key] = app._provides[provideKey]
+        } else if ('default' in inject[key]) {
           const provideDefault = inject[key].default
           result[key] = typeof provideDefault === 'function'
             ? provideDefault.call(vm)
@@ -81,3 +163,37 @@ export function resolveInject (inject: any, vm: Component): ?Object {
     return result
   }
 }
+
+function resolveProvider (provideKey: string | Symbol, vm: Component): ?Component {
+  let source = vm
+  while (source) {
+    if (source._provided && hasOwn(source._provided, (provideKey: any))) {
+      return source
+    }
+    source = source.$parent
+  }
+}
+
+// the injected property reads the provided value, so it is tracked by the
+// watchers of the injecting component
+function linkInjection (
+  vm: Component,
+  key: string,
+  provider: Component,
+  provideKey: string | Symbol
+) {
+  Object.defineProperty(vm, key, {
+    enumerable: true,
+    configurable: true,
+    get: () => (provider._provided: any)[provideKey],
+    set: process.env.NODE_ENV !== 'production'
+      ? () => {
+        warn(
+          `Avoid mutating an injected value directly, use $provide() on the ` +
+          `providing component instead. injection being mutated: "${key}"`,
+          vm
+        )
+      }
+      : noop
+  })
+}
@@ -4,10 +4,11 @@ import config from '../config'
 import Watcher from '../observer/watcher'
 import { mark, measure } from '../util/perf'
 import { createEmptyVNode } from '../vdom/vnode'
-import { updateComponentListeners } from './events'
+import { updateComponentListeners, resolveFallthroughListeners } from './events'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { toggleObserving } from '../observer/index'
 import { pushTarget, popTarget } from '../observer/dep'
+import { setActiveEffectScope } from '../observer/effect-scope'
 
 import {
   warn,
@@ -15,6 +16,7 @@ import {
   remove,
   emptyObject,
   validateProp,
+  HookErrorInfo,
   invokeWithErrorHandling
 } from '../util/index'
 
@@ -47,6 +49,10 @@ export function initLifecycle (vm: Component) {
   vm.$children = []
   vm.$refs = {}
 
+  // the content of the nearest <suspense>, resolved once here so that the
+  // patch doesn't have to look it up on every insert
+  vm._suspenseContent = options.parent ? options.parent._suspenseContent : null
+
   vm._watcher = null
   vm._inactive = null
   vm._directInactive = false
@@ -114,6 +120,8 @@ export function lifecycleMixin (Vue: Class<Component>) {
     while (i--) {
       vm._watchers[i].teardown()
     }
+    // run the cleanups registered in the instance's scope
+    vm._scope.stop()
     // remove reference from data ob
     // frozen object may not have observer.
     if (vm._data.__ob__) {
@@ -195,13 +203,24 @@ export function mountComponent (
   // we set this to vm._watcher inside the watcher's constructor
   // since the watcher's initial patch may call $forceUpdate (e.g. inside child
   // component's mounted hook), which relies on vm._watcher being already defined
-  new Watcher(vm, updateComponent, noop, {
+  const watcherOptions: Object = {
     before () {
       if (vm._isMounted && !vm._isDestroyed) {
         callHook(vm, 'beforeUpdate')
       }
     }
-  }, true /* isRenderWatcher */)
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    if (vm.$options.renderTracked) {
+      watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+    }
+    if (vm.$options.renderTriggered) {
+      watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+  const prevScope = setActiveEffectScope(vm._scope)
+  new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher */)
+  setActiveEffectScope(prevScope)
   hydrating = false
 
   // manually mounted instance, call mounted on self
@@ -260,7 +279,7 @@ export function updateChildComponent (
   // these are also reactive so they may trigger child update if the child
   // used them during render
   vm.$attrs = parentVnode.data.attrs || emptyObject
-  vm.$listeners = listeners || emptyObject
+  vm.$listeners = resolveFallthroughListeners(vm, listeners)
 
   // update props
   if (propsData && vm.$options.props) {
@@ -335,19 +354,21 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
   }
 }
 
-export function callHook (vm: Component, hook: string) {
+export function callHook (vm: Component, hook: string, args?: Array<any>) {
   // #7573 disable dep collection when invoking lifecycle hooks
   // 
   pushTarget()
+  const prevScope = setActiveEffectScope(vm._scope)
   const handlers = vm.$options[hook]
-  const info = `${hook} hook`
+  const info = HookErrorInfo[hook]
   if (handlers) {
     for (let i = 0, j = handlers.length; i < j; i++) {
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info)
+      invokeWithErrorHandling(handlers[i], vm, args || null, vm, info)
     }
   }
   if (vm._hasHookEvent) {
     vm.$emit('hook:' + hook)
   }
+  setActiveEffectScope(prevScope)
   popTarget()
 }
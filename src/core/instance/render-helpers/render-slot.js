@@ -11,6 +11,15 @@ export function renderSlot (
   props: ?Object,
   bindObject: ?Object
 ): ?Array<VNode> {
+  // the light DOM children of a custom element are distributed by the
+  // browser, so its root component renders native slots instead
+  if (this.$options._customElement) {
+    return [this.$createElement(
+      'slot',
+      name === 'default' ? undefined : { attrs: { name }},
+      typeof fallbackRender === 'function' ? fallbackRender() : fallbackRender
+    )]
+  }
   const scopedSlotFn = this.$scopedSlots[name]
   let nodes
   if (scopedSlotFn) {
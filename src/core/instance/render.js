@@ -2,9 +2,11 @@
 
 import {
   warn,
+  isDef,
   nextTick,
   emptyObject,
   handleError,
+  ErrorInfo,
   defineReactive
 } from '../util/index'
 
@@ -12,9 +14,12 @@ import { createElement } from '../vdom/create-element'
 import { installRenderHelpers } from './render-helpers/index'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots'
-import VNode, { createEmptyVNode } from '../vdom/vnode'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
+import Dep from '../observer/dep'
 
 import { isUpdatingChildComponent } from './lifecycle'
+import { resolveFallthroughListeners } from './events'
 
 export function initRender (vm: Component) {
   vm._vnode = null // the root of the child tree
@@ -42,12 +47,12 @@ export function initRender (vm: Component) {
     defineReactive(vm, '$attrs', parentData && parentData.attrs || emptyObject, () => {
       !isUpdatingChildComponent && warn(`$attrs is readonly.`, vm)
     }, true)
-    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, () => {
+    defineReactive(vm, '$listeners', resolveFallthroughListeners(vm, options._parentListeners), () => {
       !isUpdatingChildComponent && warn(`$listeners is readonly.`, vm)
     }, true)
   } else {
     defineReactive(vm, '$attrs', parentData && parentData.attrs || emptyObject, null, true)
-    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, null, true)
+    defineReactive(vm, '$listeners', resolveFallthroughListeners(vm, options._parentListeners), null, true)
   }
 }
 
@@ -90,7 +95,7 @@ export function renderMixin (Vue: Class<Component>) {
       currentRenderingInstance = vm
       vnode = render.call(vm._renderProxy, vm.$createElement)
     } catch (e) {
-      handleError(e, vm, `render`)
+      handleError(e, vm, ErrorInfo.RENDER)
       // return error render result,
       // or previous vnode to prevent render error causing blank component
       /* istanbul ignore else */
@@ -98,7 +103,7 @@ export function renderMixin (Vue: Class<Component>) {
         try {
           vnode = vm.$options.renderError.call(vm._renderProxy, vm.$createElement, e)
         } catch (e) {
-          handleError(e, vm, `renderError`)
+          handleError(e, vm, ErrorInfo.RENDER_ERROR)
           vnode = vm._vnode
         }
       } else {
@@ -111,15 +116,18 @@ export function renderMixin (Vue: Class<Component>) {
     if (Array.isArray(vnode) && vnode.length === 1) {
       vnode = vnode[0]
     }
+    // multiple root nodes are rendered as a fragment
+    if (Array.isArray(vnode)) {
+      const children = normalizeChildren(vnode) || []
+      vnode = children.length > 1
+        ? createFragmentVNode(children)
+        : children[0]
+      if (process.env.NODE_ENV !== 'production' && _parentVnode && vnode && vnode.isFragment) {
+        checkAttrsFallthrough(vm, _parentVnode)
+      }
+    }
     // return empty vnode in case the render function errored out
     if (!(vnode instanceof VNode)) {
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        warn(
-          'Multiple root nodes returned from render function. Render function ' +
-          'should return a single root node.',
-          vm
-        )
-      }
       vnode = createEmptyVNode()
     }
     // set parent
@@ -127,3 +135,50 @@ export function renderMixin (Vue: Class<Component>) {
     return vnode
   }
 }
+
+/**
+ * A fragment root has no element to inherit what the parent sets on the
+ * component: $attrs are dropped unless the render function binds them
+ * explicitly (e.g. v-bind="$attrs"), class, style and .native listeners are
+ * always dropped.
+ */
+function checkAttrsFallthrough (vm: Component, parentVnode: VNode) {
+  const data: VNodeData = parentVnode.data || {}
+  const bindings = []
+  if (isDef(data.staticClass) || isDef(data.class)) bindings.push('class')
+  if (isDef(data.staticStyle) || isDef(data.style)) bindings.push('style')
+  if (bindings.length) {
+    warn(
+      `Extraneous ${bindings.join(' and ')} bindings were passed to component ` +
+      `but could not be applied because it renders multiple root nodes.`,
+      vm
+    )
+  }
+  const nativeListeners = data.on ? Object.keys(data.on) : []
+  if (nativeListeners.length) {
+    warn(
+      `Extraneous .native event listeners (${nativeListeners.join(', ')}) ` +
+      `were passed to component but could not be attached because it ` +
+      `renders multiple root nodes.`,
+      vm
+    )
+  }
+  const watcher = vm._watcher
+  if (
+    vm.$options.inheritAttrs === false ||
+    // only the render watcher tells us whether $attrs was accessed
+    !watcher || Dep.target !== watcher
+  ) {
+    return
+  }
+  const keys = data.attrs ? Object.keys(data.attrs) : []
+  if (keys.length && !watcher.newDeps.some(dep => dep.owner === vm && dep.key === '$attrs')) {
+    warn(
+      `Extraneous non-prop attributes (${keys.join(', ')}) were passed to ` +
+      `component but could not be automatically inherited because it ` +
+      `renders multiple root nodes. Bind them explicitly with ` +
+      `v-bind="$attrs" or set "inheritAttrs: false".`,
+      vm
+    )
+  }
+}
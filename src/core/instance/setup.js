@@ -0,0 +1,132 @@
+/* @flow */
+
+import { pushTarget, popTarget } from '../observer/dep'
+import { observe } from '../observer/index'
+import {
+  warn,
+  hasOwn,
+  isReserved,
+  isPlainObject,
+  ErrorInfo,
+  invokeWithErrorHandling
+} from '../util/index'
+import { proxy, initProps } from './state'
+
+export let currentInstance: ?Component = null
+
+export function getCurrentInstance (): ?Component {
+  return currentInstance
+}
+
+/**
+ * Call the setup() option of the instance, after its injections are resolved
+ * and before its data, computed properties, methods and watchers. The object
+ * it returns is exposed on the instance (hence to the template), and a
+ * function it returns is used as the render function.
+ */
+export function initSetup (vm: Component) {
+  const setup = vm.$options.setup
+  if (!setup) {
+    return
+  }
+  // setup() receives the resolved props, initState() skips them afterwards
+  const propsOptions = vm.$options.props
+  if (propsOptions) initProps(vm, propsOptions)
+  const prevInstance = currentInstance
+  currentInstance = vm
+  // dependencies read synchronously in setup() must not be tracked by the
+  // parent's render watcher
+  pushTarget()
+  let setupResult
+  try {
+    setupResult = invokeWithErrorHandling(
+      setup,
+      null,
+      [vm._props || {}, createSetupContext(vm)],
+      vm,
+      ErrorInfo.SETUP
+    )
+  } finally {
+    popTarget()
+    currentInstance = prevInstance
+  }
+
+  if (typeof setupResult === 'function') {
+    vm.$options.render = setupResult
+  } else if (isPlainObject(setupResult)) {
+    // the returned bindings are shallowly reactive, like data properties,
+    // nested objects are expected to be made observable by setup() itself
+    const setupState = vm._setupState = setupResult
+    observe(setupState, false, true)
+    const props = vm.$options.props
+    for (const key in setupState) {
+      if (props && hasOwn(props, key)) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `setup() return property "${key}" is already declared as a prop.`,
+          vm
+        )
+      } else if (!isReserved(key)) {
+        proxy(vm, `_setupState`, key)
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn(
+          `setup() return property "${key}" should not start with "$" or "_" ` +
+          `which are reserved prefixes for Vue internals.`,
+          vm
+        )
+      }
+    }
+  } else if (process.env.NODE_ENV !== 'production' && setupResult !== undefined) {
+    warn(
+      `setup() should return an object or a render function. ` +
+      `Received: ${setupResult === null ? 'null' : typeof setupResult}`,
+      vm
+    )
+  }
+}
+
+function createSetupContext (vm: Component): Object {
+  // read lazily, these are replaced on the instance whenever it updates
+  return {
+    get attrs () {
+      return vm.$attrs
+    },
+    get listeners () {
+      return vm.$listeners
+    },
+    get slots () {
+      return vm.$scopedSlots
+    },
+    emit (): Component {
+      return vm.$emit.apply(vm, arguments)
+    }
+  }
+}
+
+function createLifecycleHook (hook: string, name: string): (fn: Function) => void {
+  return (fn: Function) => {
+    const vm = currentInstance
+    if (vm) {
+      // $options may be shared with other instances through its prototype
+      // chain, so the hooks array is copied instead of pushed to
+      const hooks = vm.$options[hook]
+      vm.$options[hook] = hooks ? hooks.concat(fn) : [fn]
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(
+        `${name}() is called when there is no active component instance to ` +
+        `be associated with. Lifecycle registration functions can only be ` +
+        `used during execution of setup().`
+      )
+    }
+  }
+}
+
+export const onBeforeMount = createLifecycleHook('beforeMount', 'onBeforeMount')
+export const onMounted = createLifecycleHook('mounted', 'onMounted')
+export const onBeforeUpdate = createLifecycleHook('beforeUpdate', 'onBeforeUpdate')
+export const onUpdated = createLifecycleHook('updated', 'onUpdated')
+export const onBeforeUnmount = createLifecycleHook('beforeDestroy', 'onBeforeUnmount')
+export const onUnmounted = createLifecycleHook('destroyed', 'onUnmounted')
+export const onActivated = createLifecycleHook('activated', 'onActivated')
+export const onDeactivated = createLifecycleHook('deactivated', 'onDeactivated')
+export const onErrorCaptured = createLifecycleHook('errorCaptured', 'onErrorCaptured')
+export const onServerPrefetch = createLifecycleHook('serverPrefetch', 'onServerPrefetch')
@@ -17,12 +17,15 @@ import {
   warn,
   bind,
   noop,
+  extend,
   hasOwn,
   hyphenate,
   isReserved,
   handleError,
+  ErrorInfo,
   nativeWatch,
   validateProp,
+  isPromise,
   isPlainObject,
   isServerRendering,
   isReservedAttribute,
@@ -50,7 +53,8 @@ export function initState(vm: Component) {
   vm._watchers = []
   const opts = vm.$options
   // 处理 props 对象，为 props 对象的每个属性设置响应式，并将其代理到 vm 实例上
-  if (opts.props) initProps(vm, opts.props)
+  // (already done by initSetup() for components with a setup() option)
+  if (opts.props && !vm._props) initProps(vm, opts.props)
   // 处理 methods 对象，校验每个属性的值是否为函数、和 props 属性比对进行判重处理，最后得到 vm[key] = methods[key]
   if (opts.methods) initMethods(vm, opts.methods)
   /**
@@ -86,7 +90,7 @@ export function initState(vm: Component) {
  * 处理 props 对象，为 props 对象的每个属性设置响应式，并将其代理到 vm 实例上
  * 经过处理的 props 对象保存在 vm._props 上
  */
-function initProps(vm: Component, propsOptions: Object) {
+export function initProps(vm: Component, propsOptions: Object) {
   const propsData = vm.$options.propsData || {}
   const props = vm._props = {}
 
@@ -170,6 +174,7 @@ function initData(vm: Component) {
   const keys = Object.keys(data)
   const props = vm.$options.props
   const methods = vm.$options.methods
+  const setupState = vm._setupState
   let i = keys.length
   while (i--) {
     const key = keys[i]
@@ -187,6 +192,11 @@ function initData(vm: Component) {
         `Use prop default value instead.`,
         vm
       )
+    } else if (setupState && hasOwn(setupState, key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `The data property "${key}" is already returned by setup().`,
+        vm
+      )
     } else if (!isReserved(key)) {
       proxy(vm, `_data`, key)
     }
@@ -201,7 +211,7 @@ export function getData(data: Function, vm: Component): any {
   try {
     return data.call(vm, vm)
   } catch (e) {
-    handleError(e, vm, `data()`)
+    handleError(e, vm, ErrorInfo.DATA)
     return {}
   } finally {
     popTarget()
@@ -230,13 +240,17 @@ function initComputed(vm: Component, computed: Object) {
       )
     }
 
-    if (!isSSR) {
+    if (typeof userDef !== 'function' && userDef.async) {
+      initAsyncComputed(vm, key, userDef, isSSR)
+    } else if (!isSSR) {
       // create internal watcher for the computed property.
       watchers[key] = new Watcher(
         vm,
         getter || noop,
         noop,
-        computedWatcherOptions
+        process.env.NODE_ENV !== 'production' && typeof userDef !== 'function'
+          ? extend({ onTrack: userDef.onTrack, onTrigger: userDef.onTrigger }, computedWatcherOptions)
+          : computedWatcherOptions
       )
     }
 
@@ -252,11 +266,96 @@ function initComputed(vm: Component, computed: Object) {
         warn(`The computed property "${key}" is already defined as a prop.`, vm)
       } else if (vm.$options.methods && key in vm.$options.methods) {
         warn(`The computed property "${key}" is already defined as a method.`, vm)
+      } else if (vm._setupState && key in vm._setupState) {
+        warn(`The computed property "${key}" is already returned by setup().`, vm)
       }
     }
   }
 }
 
+/**
+ * Async computed properties (`{ get, async: true, default }`) are backed by
+ * an eager watcher instead of a lazy one: every time its dependencies change
+ * the getter is re-run and the promise it returns is resolved into reactive
+ * state, exposed as vm.$asyncComputed[key] ({ value, pending, error }).
+ * Only dependencies read synchronously by the getter (before its first
+ * await) are tracked. Resolutions of outdated runs are discarded.
+ */
+function initAsyncComputed(
+  vm: Component,
+  key: string,
+  userDef: Object,
+  isSSR: boolean
+) {
+  const states = vm._asyncComputed || (vm._asyncComputed = Object.create(null))
+  const defaultValue = userDef.default
+  const state = states[key] = {
+    value: typeof defaultValue === 'function'
+      ? defaultValue.call(vm, vm)
+      : defaultValue,
+    pending: false,
+    error: null
+  }
+  observe(state)
+
+  const getter = userDef.get || noop
+  // id of the latest run, resolutions of previous runs are stale
+  let latest = 0
+  const run = (): ?Promise<any> => {
+    const id = ++latest
+    const resolve = value => {
+      if (id === latest) {
+        state.value = value
+        state.error = null
+        state.pending = false
+      }
+    }
+    const reject = err => {
+      if (id === latest) {
+        state.error = err
+        state.pending = false
+        handleError(err, vm, ErrorInfo.ASYNC_COMPUTED, key)
+      }
+    }
+    let result
+    try {
+      result = getter.call(vm, vm)
+    } catch (e) {
+      reject(e)
+      return
+    }
+    if (isPromise(result)) {
+      state.pending = true
+      return (result: any).then(resolve, reject)
+    }
+    resolve(result)
+  }
+
+  if (isSSR) {
+    // the server renderer waits for the ones in the content of a <suspense>
+    // before rendering the component, the others keep their default value
+    if (vm._suspenseContent) {
+      pushTarget()
+      const promise = run()
+      popTarget()
+      if (promise) {
+        (vm._asyncComputedPromises || (vm._asyncComputedPromises = [])).push(promise)
+      }
+    }
+    return
+  }
+
+  const watcher = new Watcher(vm, function asyncComputedGetter() {
+    run()
+  }, noop, process.env.NODE_ENV !== 'production'
+    ? { onTrack: userDef.onTrack, onTrigger: userDef.onTrigger }
+    : undefined)
+  // ignore pending resolutions once torn down
+  watcher.onStop = () => {
+    latest++
+  }
+}
+
 // 代理 computed 对象中的 key 到 target（vm）上
 export function defineComputed(
   target: any,
@@ -270,11 +369,13 @@ export function defineComputed(
       : createGetterInvoker(userDef)
     sharedPropertyDefinition.set = noop
   } else {
-    sharedPropertyDefinition.get = userDef.get
-      ? shouldCache && userDef.cache !== false
-        ? createComputedGetter(key)
-        : createGetterInvoker(userDef.get)
-      : noop
+    sharedPropertyDefinition.get = userDef.async
+      ? createAsyncComputedGetter(key)
+      : userDef.get
+        ? shouldCache && userDef.cache !== false
+          ? createComputedGetter(key)
+          : createGetterInvoker(userDef.get)
+        : noop
     sharedPropertyDefinition.set = userDef.set || noop
   }
   if (process.env.NODE_ENV !== 'production' &&
@@ -294,7 +395,19 @@ function createComputedGetter(key) {
     const watcher = this._computedWatchers && this._computedWatchers[key]
     if (watcher) {
       if (watcher.dirty) {
-        watcher.evaluate()
+        // errors are rethrown to code reading the value directly. Render
+        // functions and watchers reading it get undefined rather than a
+        // stale value once the error is reported. The watcher stays dirty and
+        // depends on what the getter read before throwing, so it's evaluated
+        // again once that changes
+        try {
+          watcher.evaluate()
+        } catch (e) {
+          if (!Dep.target) throw e
+          handleError(e, watcher.vm, ErrorInfo.COMPUTED_GETTER, key)
+          watcher.depend()
+          return
+        }
       }
       if (Dep.target) {
         watcher.depend()
@@ -304,6 +417,13 @@ function createComputedGetter(key) {
   }
 }
 
+function createAsyncComputedGetter(key) {
+  return function computedGetter() {
+    const state = this._asyncComputed && this._asyncComputed[key]
+    return state && state.value
+  }
+}
+
 function createGetterInvoker(fn) {
   return function computedGetter() {
     return fn.call(this, this)
@@ -321,6 +441,7 @@ function createGetterInvoker(fn) {
 function initMethods(vm: Component, methods: Object) {
   // 获取经过处理的 props 对象
   const props = vm.$options.props
+  const setupState = vm._setupState
 
   for (const key in methods) {
     if (process.env.NODE_ENV !== 'production') {
@@ -345,7 +466,15 @@ function initMethods(vm: Component, methods: Object) {
         )
       }
     }
-    vm[key] = typeof methods[key] !== 'function' ? noop : bind(methods[key], vm)
+    if (setupState && hasOwn(setupState, key)) {
+      // assigning the method would overwrite the binding returned by setup()
+      process.env.NODE_ENV !== 'production' && warn(
+        `Method "${key}" is already returned by setup().`,
+        vm
+      )
+    } else {
+      vm[key] = typeof methods[key] !== 'function' ? noop : bind(methods[key], vm)
+    }
   }
 }
 
@@ -393,6 +522,8 @@ export function stateMixin(Vue: Class<Component>) {
   dataDef.get = function () { return this._data }
   const propsDef = {}
   propsDef.get = function () { return this._props }
+  const asyncComputedDef = {}
+  asyncComputedDef.get = function () { return this._asyncComputed }
   if (process.env.NODE_ENV !== 'production') {
     dataDef.set = function () {
       warn(
@@ -407,6 +538,7 @@ export function stateMixin(Vue: Class<Component>) {
   }
   Object.defineProperty(Vue.prototype, '$data', dataDef)
   Object.defineProperty(Vue.prototype, '$props', propsDef)
+  Object.defineProperty(Vue.prototype, '$asyncComputed', asyncComputedDef)
 
   Vue.prototype.$set = set
   Vue.prototype.$delete = del
@@ -424,13 +556,54 @@ export function stateMixin(Vue: Class<Component>) {
     options.user = true
     const watcher = new Watcher(vm, expOrFn, cb, options)
     if (options.immediate) {
-      const info = `callback for immediate watcher "${watcher.expression}"`
       pushTarget()
-      invokeWithErrorHandling(cb, vm, [watcher.value], vm, info)
+      invokeWithErrorHandling(
+        cb,
+        vm,
+        [watcher.value],
+        vm,
+        ErrorInfo.IMMEDIATE_WATCH_CALLBACK,
+        watcher.expression
+      )
       popTarget()
     }
     return function unwatchFn() {
       watcher.teardown()
     }
   }
+
+  /**
+   * Run an effect immediately, tracking every reactive property it reads,
+   * and re-run it whenever one of them changes. The effect receives an
+   * `onCleanup` registrar whose callback is invoked before the next run and
+   * when the effect is stopped (including when the instance is destroyed).
+   */
+  Vue.prototype.$watchEffect = function (
+    effect: Function,
+    options?: Object
+  ): Function {
+    const vm: Component = this
+    let cleanup: ?Function
+    const runCleanup = () => {
+      if (cleanup) {
+        const fn = cleanup
+        cleanup = null
+        // cleanups must not register dependencies of the effect
+        pushTarget()
+        invokeWithErrorHandling(fn, vm, null, vm, ErrorInfo.WATCH_EFFECT_CLEANUP)
+        popTarget()
+      }
+    }
+    const onCleanup = (fn: Function) => {
+      cleanup = fn
+    }
+    const watcher = new Watcher(vm, () => {
+      runCleanup()
+      invokeWithErrorHandling(effect, vm, [onCleanup], vm, ErrorInfo.WATCH_EFFECT)
+    }, noop, options)
+    watcher.onStop = runCleanup
+    return function unwatchFn() {
+      watcher.teardown()
+    }
+  }
 }
@@ -37,9 +37,13 @@ methodsToPatch.forEach(function (method) {
         inserted = args.slice(2)
         break
     }
-    if (inserted) ob.observeArray(inserted)
+    if (inserted && !ob.shallow) ob.observeArray(inserted)
     // notify change
-    ob.dep.notify()
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({ target: this, type: 'array-mutation', key: method })
+    } else {
+      ob.dep.notify()
+    }
     return result
   })
 })
@@ -0,0 +1,232 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map/Set prototypes
+ */
+
+import Dep from './dep'
+import { dependArray } from './index'
+import { def, hasSymbol } from '../util/index'
+
+const collectionProtos = []
+const collectionMethods = []
+
+/**
+ * Get the instrumented methods for a built-in keyed collection (Map, Set,
+ * WeakMap or WeakSet). Subclasses are not instrumented since replacing
+ * their prototype would drop their own methods.
+ */
+export function getCollectionMethods (value) {
+  const i = collectionProtos.indexOf(Object.getPrototypeOf(value))
+  return i > -1 ? collectionMethods[i] : undefined
+}
+
+/**
+ * Check if a value is a built-in keyed collection, whether it has already
+ * been observed or not.
+ */
+export function isCollection (value) {
+  const proto = Object.getPrototypeOf(value)
+  return collectionProtos.indexOf(proto) > -1 || collectionMethods.indexOf(proto) > -1
+}
+
+/**
+ * Check if a value is a Map or a Set, i.e. a collection whose contents
+ * can be iterated.
+ */
+export function isIterableCollection (value) {
+  return (
+    (typeof Map !== 'undefined' && value instanceof Map) ||
+    (typeof Set !== 'undefined' && value instanceof Set)
+  )
+}
+
+function track (target, key) {
+  if (Dep.target) {
+    if (process.env.NODE_ENV !== 'production') {
+      target.__ob__.dep.depend({ target, type: 'get', key })
+    } else {
+      target.__ob__.dep.depend()
+    }
+  }
+}
+
+// nested arrays and collections notify through their own observer
+function trackValue (value) {
+  if (value && value.__ob__) {
+    value.__ob__.dep.depend()
+    if (Array.isArray(value)) {
+      dependArray(value)
+    }
+  }
+}
+
+function trigger (target, type, key, newValue, oldValue) {
+  if (process.env.NODE_ENV !== 'production') {
+    target.__ob__.dep.notify({ target, type, key, newValue, oldValue })
+  } else {
+    target.__ob__.dep.notify()
+  }
+}
+
+function observeInserted (target, value) {
+  const ob = target.__ob__
+  if (!ob.shallow) ob.observeArray([value])
+}
+
+/**
+ * Create an object inheriting from a collection prototype that intercepts
+ * its reading methods to collect dependencies and its mutating methods to
+ * emit change notifications.
+ */
+function instrument (Ctor, readMethods, iterable) {
+  const proto = Ctor.prototype
+  const methods = Object.create(proto)
+
+  readMethods.forEach(method => {
+    const original = proto[method]
+    def(methods, method, function reader (...args) {
+      track(this, method === 'has' ? args[0] : undefined)
+      return original.apply(this, args)
+    })
+  })
+
+  // the values handed out while iterating are depended on like the value
+  // returned by get(), so that changes inside of them are picked up too
+  if (iterable) {
+    const forEach = proto.forEach
+    def(methods, 'forEach', function reader (cb, thisArg) {
+      track(this)
+      return forEach.call(this, (value, key, collection) => {
+        if (Dep.target) {
+          trackValue(value)
+          trackValue(key)
+        }
+        return cb.call(thisArg, value, key, collection)
+      })
+    })
+    iteratorMethods.forEach(method => {
+      const original = proto[method]
+      // entries(), and the default iterator of a Map, yield [key, value] pairs
+      const yieldsEntries = method === 'entries' ||
+        (typeof method === 'symbol' && typeof proto.get === 'function')
+      def(methods, method, function reader () {
+        track(this)
+        return trackIterator(original.call(this), yieldsEntries)
+      })
+    })
+  }
+
+  if (proto.get) {
+    const get = proto.get
+    def(methods, 'get', function reader (key) {
+      const value = get.call(this, key)
+      if (Dep.target) {
+        track(this, key)
+        trackValue(value)
+      }
+      return value
+    })
+  }
+
+  if (proto.set) {
+    const has = proto.has
+    const get = proto.get
+    const set = proto.set
+    def(methods, 'set', function mutator (key, value) {
+      const hadKey = has.call(this, key)
+      const oldValue = get.call(this, key)
+      set.call(this, key, value)
+      /* eslint-disable no-self-compare */
+      if (!hadKey || (value !== oldValue && (value === value || oldValue === oldValue))) {
+        observeInserted(this, value)
+        trigger(this, hadKey ? 'set' : 'add', key, value, oldValue)
+      }
+      /* eslint-enable no-self-compare */
+      return this
+    })
+  }
+
+  if (proto.add) {
+    const has = proto.has
+    const add = proto.add
+    def(methods, 'add', function mutator (value) {
+      if (!has.call(this, value)) {
+        add.call(this, value)
+        observeInserted(this, value)
+        trigger(this, 'add', value, value)
+      }
+      return this
+    })
+  }
+
+  const del = proto.delete
+  def(methods, 'delete', function mutator (key) {
+    const result = del.call(this, key)
+    if (result) trigger(this, 'delete', key)
+    return result
+  })
+
+  if (iterable) {
+    const clear = proto.clear
+    const size = Object.getOwnPropertyDescriptor(proto, 'size').get
+    def(methods, 'clear', function mutator () {
+      const hadItems = size.call(this) > 0
+      clear.call(this)
+      if (hadItems) trigger(this, 'clear')
+    })
+    Object.defineProperty(methods, 'size', {
+      enumerable: false,
+      configurable: true,
+      get: function reader () {
+        track(this)
+        return size.call(this)
+      }
+    })
+  }
+
+  collectionProtos.push(proto)
+  collectionMethods.push(methods)
+}
+
+const iteratorMethods = ['keys', 'values', 'entries']
+if (hasSymbol) {
+  iteratorMethods.push(Symbol.iterator)
+}
+
+function trackIterator (iterator, yieldsEntries) {
+  const tracked = {
+    next () {
+      const result = iterator.next()
+      if (!result.done && Dep.target) {
+        if (yieldsEntries) {
+          trackValue(result.value[0])
+          trackValue(result.value[1])
+        } else {
+          trackValue(result.value)
+        }
+      }
+      return result
+    }
+  }
+  if (hasSymbol) {
+    tracked[Symbol.iterator] = () => tracked
+  }
+  return tracked
+}
+
+/* istanbul ignore else */
+if (typeof Map !== 'undefined') {
+  instrument(Map, ['has'], true)
+}
+/* istanbul ignore else */
+if (typeof Set !== 'undefined') {
+  instrument(Set, ['has'], true)
+}
+/* istanbul ignore else */
+if (typeof WeakMap !== 'undefined') {
+  instrument(WeakMap, ['has'], false)
+}
+/* istanbul ignore else */
+if (typeof WeakSet !== 'undefined') {
+  instrument(WeakSet, ['has'], false)
+}
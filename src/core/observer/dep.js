@@ -1,11 +1,27 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend, hasOwn } from '../util/index'
 import config from '../config'
 
 let uid = 0
 
+/**
+ * Describes a dependency being tracked or triggered. Only passed to
+ * dep.depend() / dep.notify() in development, for debugging hooks.
+ */
+export type DebuggerEventExtraInfo = {
+  target: Object;
+  type: 'get' | 'set' | 'add' | 'delete' | 'clear' | 'array-mutation';
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+};
+
+export type DebuggerEvent = {
+  effect: Watcher;
+} & DebuggerEventExtraInfo;
+
 /**
  * 一个 dep 对应一个 obj.key
  * 在读取响应式数据时，负责收集依赖，每个 dep （或者说 obj.key）依赖的 watcher 有哪些
@@ -15,6 +31,10 @@ export default class Dep {
   static target: ?Watcher;
   id: number;
   subs: Array<Watcher>;
+  // dev only: the reactive object this dep belongs to and, for property
+  // deps, the property key. Used by Vue.inspectDeps().
+  owner: ?Object;
+  key: ?string;
 
   constructor () {
     this.id = uid++
@@ -30,14 +50,19 @@ export default class Dep {
     remove(this.subs, sub)
   }
 
-  depend () {
-    if (Dep.target) {
-      Dep.target.addDep(this)
+  depend (info?: DebuggerEventExtraInfo) {
+    const target = Dep.target
+    if (target) {
+      target.addDep(this)
+      const onTrack = target.onTrack
+      if (process.env.NODE_ENV !== 'production' && info && onTrack) {
+        onTrack(extend({ effect: target }, info))
+      }
     }
   }
 
   // 通知 dep 中所有的 watcher ，执行 watcher.update() 方法
-  notify () {
+  notify (info?: DebuggerEventExtraInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     if (process.env.NODE_ENV !== 'production' && !config.async) {
@@ -47,7 +72,17 @@ export default class Dep {
       subs.sort((a, b) => a.id - b.id)
     }
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      const onTrigger = subs[i].onTrigger
+      if (process.env.NODE_ENV !== 'production' && info && onTrigger) {
+        onTrigger(extend({ effect: subs[i] }, info))
+      }
+      if (batchDepth > 0 && !subs[i].lazy) {
+        // computed watchers are still marked dirty right away so that
+        // reads inside the batch see up-to-date values
+        queueBatchedSub(subs[i], info)
+      } else {
+        subs[i].update(info)
+      }
     }
   }
 }
@@ -71,3 +106,51 @@ export function popTarget () {
   targetStack.pop()
   Dep.target = targetStack[targetStack.length - 1]
 }
+
+/**
+ * Run a function without collecting dependencies for the current watcher.
+ */
+export function untracked<T> (fn: () => T): T {
+  pushTarget()
+  try {
+    return fn()
+  } finally {
+    popTarget()
+  }
+}
+
+let batchDepth = 0
+let batchedSubs: Array<Watcher> = []
+let batchedInfos: { [key: number]: DebuggerEventExtraInfo | void } = {}
+
+function queueBatchedSub (sub: Watcher, info?: DebuggerEventExtraInfo) {
+  if (!hasOwn(batchedInfos, String(sub.id))) {
+    batchedSubs.push(sub)
+  }
+  batchedInfos[sub.id] = info
+}
+
+/**
+ * Run a function and defer notifying watchers of the changes it makes until
+ * it returns, so that each affected watcher is only updated once. Unlike the
+ * scheduler, this also applies to sync watchers and when config.async is
+ * false. Batches can be nested, watchers are notified when the outermost
+ * one completes.
+ */
+export function batch<T> (fn: () => T): T {
+  batchDepth++
+  try {
+    return fn()
+  } finally {
+    if (--batchDepth === 0) {
+      const subs = batchedSubs
+      const infos = batchedInfos
+      batchedSubs = []
+      batchedInfos = {}
+      subs.sort((a, b) => a.id - b.id)
+      for (let i = 0; i < subs.length; i++) {
+        subs[i].update(infos[subs[i].id])
+      }
+    }
+  }
+}
@@ -0,0 +1,167 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn } from '../util/index'
+
+export let activeEffectScope: ?EffectScope
+
+/**
+ * An effect scope collects every watcher (including computed watchers)
+ * created while it is active, so that they can be paused, resumed and
+ * torn down together, independently of any component's lifecycle. Every
+ * component has its own detached scope, in which its options, hooks and
+ * render function run: the watchers they create follow the component's
+ * lifecycle, even if it is created inside another scope's run().
+ */
+export class EffectScope {
+  active: boolean;
+  paused: boolean;
+  detached: boolean;
+  effects: Array<Watcher>;
+  cleanups: Array<Function>;
+  parent: ?EffectScope;
+  scopes: ?Array<EffectScope>;
+  index: ?number; // track a child scope's index in its parent's scopes array
+  vm: ?Component; // the component owning the scope, if it is a component's
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.paused = false
+    this.detached = !!detached
+    this.effects = []
+    this.cleanups = []
+    this.parent = activeEffectScope
+    this.vm = null
+    if (!detached && activeEffectScope) {
+      this.index = (activeEffectScope.scopes || (activeEffectScope.scopes = [])).push(this) - 1
+    }
+  }
+
+  run<T> (fn: () => T): T | void {
+    if (this.active) {
+      const currentEffectScope = activeEffectScope
+      try {
+        activeEffectScope = this
+        return fn()
+      } finally {
+        activeEffectScope = currentEffectScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(`cannot run an inactive effect scope.`)
+    }
+  }
+
+  /**
+   * Pause every watcher in the scope. Updates triggered while paused are
+   * deferred until the scope is resumed.
+   */
+  pause () {
+    if (this.active && !this.paused) {
+      this.paused = true
+      let i, l
+      for (i = 0, l = this.effects.length; i < l; i++) {
+        this.effects[i].pause()
+      }
+      if (this.scopes) {
+        for (i = 0, l = this.scopes.length; i < l; i++) {
+          this.scopes[i].pause()
+        }
+      }
+    }
+  }
+
+  resume () {
+    if (this.active && this.paused) {
+      this.paused = false
+      let i, l
+      for (i = 0, l = this.effects.length; i < l; i++) {
+        this.effects[i].resume()
+      }
+      if (this.scopes) {
+        for (i = 0, l = this.scopes.length; i < l; i++) {
+          this.scopes[i].resume()
+        }
+      }
+    }
+  }
+
+  stop (fromParent?: boolean) {
+    if (this.active) {
+      let i, l
+      // tearing a watcher down removes it from this.effects
+      const effects = this.effects.slice()
+      for (i = 0, l = effects.length; i < l; i++) {
+        effects[i].teardown()
+      }
+      for (i = 0, l = this.cleanups.length; i < l; i++) {
+        this.cleanups[i]()
+      }
+      if (this.scopes) {
+        for (i = 0, l = this.scopes.length; i < l; i++) {
+          this.scopes[i].stop(true)
+        }
+      }
+      // nested scope, dereference from parent to avoid memory leaks
+      const parent = this.parent
+      const siblings = parent && parent.scopes
+      if (!this.detached && siblings && !fromParent) {
+        // optimized O(1) removal
+        const last = siblings.pop()
+        if (last && last !== this) {
+          siblings[(this.index: any)] = last
+          last.index = this.index
+        }
+      }
+      this.parent = undefined
+      this.active = false
+    }
+  }
+}
+
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+/**
+ * Register a watcher in the given scope (defaults to the active one).
+ */
+export function recordEffectScope (
+  effect: Watcher,
+  scope: ?EffectScope = activeEffectScope
+) {
+  if (scope && scope.active) {
+    effect.scope = scope
+    scope.effects.push(effect)
+    if (scope.paused) {
+      effect.pause()
+    }
+  }
+}
+
+/**
+ * Make a scope the active one and return the previously active scope, so
+ * that it can be restored. Used to run a component's own code in its scope.
+ */
+export function setActiveEffectScope (scope: ?EffectScope): ?EffectScope {
+  const prev = activeEffectScope
+  activeEffectScope = scope
+  return prev
+}
+
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
+
+/**
+ * Register a callback to be invoked when the active scope is stopped.
+ */
+export function onScopeDispose (fn: Function) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `onScopeDispose() is called when there is no active effect scope` +
+      ` to be associated with.`
+    )
+  }
+}
@@ -3,6 +3,7 @@
 import Dep from './dep'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { getCollectionMethods, isIterableCollection } from './collection'
 import {
   def,
   warn,
@@ -18,6 +19,8 @@ import {
 
 const arrayKeys = Object.getOwnPropertyNames(arrayMethods)
 
+const NO_INITIAL_VALUE = {}
+
 /**
  * In some cases we may want to disable observation inside a component's
  * update computation.
@@ -38,11 +41,16 @@ export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that have this object as root $data
+  shallow: boolean;
 
-  constructor (value: any) {
+  constructor (value: any, shallow?: boolean) {
     this.value = value
+    this.shallow = !!shallow
     // 实例化一个 dep
     this.dep = new Dep()
+    if (process.env.NODE_ENV !== 'production') {
+      this.dep.owner = value
+    }
     this.vmCount = 0
     // 在 value 对象上设置 __ob__ 属性
     def(value, '__ob__', this)
@@ -61,7 +69,15 @@ export class Observer {
       } else {
         copyAugment(value, arrayMethods, arrayKeys)
       }
-      this.observeArray(value)
+      if (!shallow) {
+        this.observeArray(value)
+      }
+    } else if (getCollectionMethods(value)) {
+      // every environment with native Map/Set also supports __proto__
+      protoAugment(value, getCollectionMethods(value))
+      if (!shallow) {
+        this.observeCollection(value)
+      }
     } else {
       // value 为对象，为对象上的每个属性（包括嵌套对象）设置响应式
       this.walk(value)
@@ -76,7 +92,7 @@ export class Observer {
   walk (obj: Object) {
     const keys = Object.keys(obj)
     for (let i = 0; i < keys.length; i++) {
-      defineReactive(obj, keys[i])
+      defineReactive(obj, keys[i], NO_INITIAL_VALUE, undefined, this.shallow)
     }
   }
 
@@ -88,6 +104,18 @@ export class Observer {
       observe(items[i])
     }
   }
+
+  /**
+   * Observe the values of a Map or the items of a Set. Weak collections
+   * cannot be enumerated, so their values are observed as they are added.
+   */
+  observeCollection (collection: any) {
+    if (isIterableCollection(collection)) {
+      collection.forEach(item => {
+        observe(item)
+      })
+    }
+  }
 }
 
 // helpers
@@ -119,7 +147,11 @@ function copyAugment (target: Object, src: Object, keys: Array<string>) {
  * 响应式处理的真正入口
  * 为对象创建观察者实例，如果对象已经被观察过，则返回已有的观察者实例，否则创建新的观察者实例 
  */
-export function observe (value: any, asRootData: ?boolean): Observer | void {
+export function observe (
+  value: any,
+  asRootData: ?boolean,
+  shallow?: boolean
+): Observer | void {
   // 非对象和 VNode 实例不做响应式处理
   if (!isObject(value) || value instanceof VNode) {
     return
@@ -131,11 +163,12 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || getCollectionMethods(value)) &&
     Object.isExtensible(value) &&
+    !value.__v_skip &&
     !value._isVue
   ) {
-    ob = new Observer(value)
+    ob = new Observer(value, shallow)
   }
   if (asRootData && ob) {
     ob.vmCount++
@@ -155,6 +188,10 @@ export function defineReactive (
 ) {
   // 实例化 dep ，一个 key 一个 dep
   const dep = new Dep()
+  if (process.env.NODE_ENV !== 'production') {
+    dep.owner = obj
+    dep.key = key
+  }
 
   // 获取 obj[key] 的属性描述符，发现它是不可配置对象的话 直接 return
   const property = Object.getOwnPropertyDescriptor(obj, key)
@@ -165,7 +202,7 @@ export function defineReactive (
   // 记录 getter 和 setter，获取 val 值
   const getter = property && property.get
   const setter = property && property.set
-  if ((!getter || setter) && arguments.length === 2) {
+  if ((!getter || setter) && (val === NO_INITIAL_VALUE || arguments.length === 2)) {
     val = obj[key]
   }
 
@@ -183,7 +220,11 @@ export function defineReactive (
        */
       if (Dep.target) {
         // 依赖收集，在 dep 中添加 watcher ，也在 watcher 中添加 dep
-        dep.depend()
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({ target: obj, type: 'get', key })
+        } else {
+          dep.depend()
+        }
         // childOb 表示对象中嵌套对象的观察者对象，如果存在也对其进行依赖收集
         if (childOb) {
           // 这就是为什么 this.key.childKey 被更新时能触发响应式更新的原因
@@ -220,7 +261,11 @@ export function defineReactive (
       // 对新值进行观察，让新值也是响应式的
       childOb = !shallow && observe(newVal)
       // 依赖通知更新
-      dep.notify()
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({ target: obj, type: 'set', key, newValue: newVal, oldValue: value })
+      } else {
+        dep.notify()
+      }
     }
   })
 }
@@ -241,6 +286,12 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     target.splice(key, 1, val)
     return val
   }
+  if (isReadonly(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Set operation on key "${key}" failed: target is readonly.`
+    )
+    return val
+  }
   if (key in target && !(key in Object.prototype)) {
     target[key] = val
     return val
@@ -257,8 +308,12 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     target[key] = val
     return val
   }
-  defineReactive(ob.value, key, val)
-  ob.dep.notify()
+  defineReactive(ob.value, key, val, undefined, ob.shallow)
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'add', key, newValue: val })
+  } else {
+    ob.dep.notify()
+  }
   return val
 }
 
@@ -275,6 +330,12 @@ export function del (target: Array<any> | Object, key: any) {
     target.splice(key, 1)
     return
   }
+  if (isReadonly(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Delete operation on key "${key}" failed: target is readonly.`
+    )
+    return
+  }
   const ob = (target: any).__ob__
   if (target._isVue || (ob && ob.vmCount)) {
     process.env.NODE_ENV !== 'production' && warn(
@@ -290,14 +351,42 @@ export function del (target: Array<any> | Object, key: any) {
   if (!ob) {
     return
   }
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'delete', key })
+  } else {
+    ob.dep.notify()
+  }
+}
+
+/**
+ * Mark an object so that it will never be converted into a reactive
+ * object, e.g. to skip walking large immutable payloads.
+ */
+export function markRaw<T> (value: T): T {
+  if (isObject(value) && Object.isExtensible(value)) {
+    def(value, '__v_skip', true)
+  }
+  return value
+}
+
+/**
+ * Return the original object behind a readonly proxy. Observed objects are
+ * converted in place, so they are their own raw object.
+ */
+export function toRaw<T> (value: T): T {
+  const raw = isObject(value) && (value: any).__v_raw
+  return raw ? toRaw(raw) : value
+}
+
+export function isReadonly (value: any): boolean {
+  return !!(isObject(value) && value.__v_isReadonly)
 }
 
 /**
  * Collect dependencies on array elements when the array is touched, since
  * we cannot intercept array element access like property getters.
  */
-function dependArray (value: Array<any>) {
+export function dependArray (value: Array<any>) {
   for (let e, i = 0, l = value.length; i < l; i++) {
     e = value[i]
     e && e.__ob__ && e.__ob__.dep.depend()
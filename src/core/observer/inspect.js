@@ -0,0 +1,163 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import type Dep from './dep'
+import { isCollection, isIterableCollection } from './collection'
+import {
+  _Set as Set,
+  formatComponentName,
+  isObject,
+  isPlainObject,
+  hasOwn
+} from '../util/index'
+
+export type DepInfo = {
+  id: number;
+  // "property" deps track a single key, "object" deps track the structure of
+  // an object or array (added/deleted keys, array mutations)
+  type: 'property' | 'object';
+  // path from the component instance, null if the owner isn't reachable
+  // from the component's own state (e.g. a shared Vue.observable store)
+  path: string | null;
+  key: string | null;
+};
+
+export type WatcherInfo = {
+  id: number;
+  type: 'render' | 'computed' | 'watch' | 'effect';
+  name: string;
+  deps: Array<DepInfo>;
+};
+
+export type DepsGraph = {
+  component: string;
+  watchers: Array<WatcherInfo>;
+};
+
+type PathRecord = { value: Object, path: string, prefix: string };
+
+/**
+ * Describe the dependencies of every watcher owned by a component (render
+ * watcher, computed watchers, user watchers and effects) as a plain,
+ * serializable object. Dev only, since deps only know which object and key
+ * they belong to in development.
+ */
+export function inspectDeps (vm: Component): DepsGraph | null {
+  if (process.env.NODE_ENV === 'production') {
+    return null
+  }
+  const paths = collectPaths(vm)
+  const computedNames = {}
+  const computedWatchers = vm._computedWatchers
+  if (computedWatchers) {
+    for (const key in computedWatchers) {
+      computedNames[computedWatchers[key].id] = key
+    }
+  }
+
+  return {
+    component: formatComponentName(vm, false),
+    watchers: vm._watchers.map(watcher => {
+      const type = getWatcherType(vm, watcher)
+      return {
+        id: watcher.id,
+        type,
+        name: type === 'render'
+          ? 'render'
+          : hasOwn(computedNames, watcher.id)
+            ? computedNames[watcher.id]
+            : watcher.expression,
+        deps: watcher.deps.map(dep => describeDep(dep, vm, paths))
+      }
+    })
+  }
+}
+
+function getWatcherType (vm: Component, watcher: Watcher) {
+  if (watcher === vm._watcher) return 'render'
+  if (watcher.lazy) return 'computed'
+  return watcher.user ? 'watch' : 'effect'
+}
+
+function describeDep (dep: Dep, vm: Component, paths: Array<PathRecord>): DepInfo {
+  const owner = dep.owner
+  const key = dep.key
+  let path = null
+  if (owner === vm) {
+    // reactive instance properties, e.g. $attrs and $listeners
+    path = key || null
+  } else {
+    for (let i = 0; i < paths.length; i++) {
+      const record = paths[i]
+      if (record.value === owner) {
+        path = key != null ? joinPath(record.prefix, key) : record.path
+        break
+      }
+    }
+  }
+  return {
+    id: dep.id,
+    type: key != null ? 'property' : 'object',
+    path,
+    key: key != null ? key : null
+  }
+}
+
+/**
+ * Walk the reactive state of a component breadth-first and record the
+ * shortest path to every reactive object, array and collection it contains.
+ * Map values are addressed by their key and Set values by their insertion
+ * index.
+ */
+function collectPaths (vm: Component): Array<PathRecord> {
+  const records: Array<PathRecord> = []
+  // visited objects, by the id of their observer's dep
+  const seen = new Set()
+  const record = (value: Object, path: string, prefix: string) => {
+    if (value.__ob__) seen.add(value.__ob__.dep.id)
+    records.push({ value, path, prefix })
+  }
+  const visit = (child: any, path: string) => {
+    if (
+      isObject(child) &&
+      child.__ob__ &&
+      !seen.has(child.__ob__.dep.id) &&
+      (Array.isArray(child) || isPlainObject(child) || isCollection(child))
+    ) {
+      record(child, path, path)
+    }
+  }
+
+  if (vm._data) record(vm._data, '$data', '')
+  if (vm._props) record(vm._props, '$props', '')
+
+  for (let i = 0; i < records.length; i++) {
+    const { value, prefix } = records[i]
+    if (Array.isArray(value)) {
+      for (let j = 0; j < value.length; j++) {
+        visit(value[j], `${prefix}[${j}]`)
+      }
+    } else if (isIterableCollection(value)) {
+      const isMap = typeof value.get === 'function'
+      let index = 0
+      value.forEach((child, key) => {
+        visit(child, `${prefix}[${isMap ? formatKey(key) : index}]`)
+        index++
+      })
+    } else if (isPlainObject(value)) {
+      const keys = Object.keys(value)
+      for (let j = 0; j < keys.length; j++) {
+        visit(value[keys[j]], joinPath(prefix, keys[j]))
+      }
+    }
+  }
+  return records
+}
+
+function formatKey (key: any): string {
+  return typeof key === 'string' ? JSON.stringify(key) : String(key)
+}
+
+function joinPath (prefix: string, key: string): string {
+  return prefix ? `${prefix}.${key}` : key
+}
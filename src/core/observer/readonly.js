@@ -0,0 +1,237 @@
+/* @flow */
+
+import Dep from './dep'
+import { isReadonly, toRaw } from './index'
+import { isCollection } from './collection'
+import {
+  def,
+  warn,
+  hasOwn,
+  isNative,
+  hasSymbol,
+  isPlainObject
+} from '../util/index'
+
+/**
+ * Create a readonly view of a plain object, or a Map, Set, WeakMap or
+ * WeakSet. Reads are forwarded to the original value, so the view stays
+ * reactive if the original is observed, while writes are rejected (with a
+ * warning in development). Nested values, arrays included, are returned as
+ * readonly views as well. Like the rest of the observer, keys added to an
+ * original object afterwards are not picked up.
+ */
+export function readonly<T: Object> (target: T): T {
+  if (isReadonly(target)) {
+    return target
+  }
+  if (Array.isArray(target)) {
+    // the view of an array has the length the array had when it was created,
+    // nested arrays get a new view from their parent's getter once it changes
+    process.env.NODE_ENV !== 'production' && warn(
+      `Arrays cannot be made readonly on their own, since their readonly ` +
+      `view wouldn't follow their length. Make the object that contains ` +
+      `the array readonly instead.`
+    )
+    return target
+  }
+  if (!isCollection(target) && !isPlainObject(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `value cannot be made readonly: ${String(target)}`
+    )
+    return target
+  }
+  return getReadonlyView(target)
+}
+
+function toReadonly (val: any): any {
+  return val !== null && typeof val === 'object' &&
+    (isPlainObject(val) || Array.isArray(val) || isCollection(val))
+    ? getReadonlyView(val)
+    : val
+}
+
+function getReadonlyView (target: any): any {
+  if (isReadonly(target)) {
+    return target
+  }
+  const isArray = Array.isArray(target)
+
+  // only a single readonly view is created per object (per length for arrays)
+  const existing = target.__v_readonly
+  if (existing && (!isArray || existing.length === target.length)) {
+    return existing
+  }
+
+  let view: any = isArray
+    ? createArrayView(target)
+    : isCollection(target)
+      ? createCollectionView(target)
+      : createObjectView(target)
+  def(view, '__v_isReadonly', true)
+  def(view, '__v_raw', target)
+  // readonly views must never be converted into reactive objects
+  def(view, '__v_skip', true)
+  Object.preventExtensions(view)
+  if (process.env.NODE_ENV !== 'production' && hasProxy) {
+    // only a proxy can report keys being added or deleted
+    view = new Proxy(view, readonlyHandlers)
+  }
+  if (Object.isExtensible(target)) {
+    def(target, '__v_readonly', view)
+  }
+  return view
+}
+
+const hasProxy = typeof Proxy !== 'undefined' && isNative(Proxy)
+
+const readonlyHandlers = {
+  set (view: Object, key: any): boolean {
+    warnReadonly('Set', key)
+    return true
+  },
+  deleteProperty (view: Object, key: any): boolean {
+    warnReadonly('Delete', key)
+    // a non-extensible object can't report its own properties as deleted
+    return !hasOwn(view, key)
+  }
+}
+
+function warnReadonly (operation: string, key?: any) {
+  process.env.NODE_ENV !== 'production' && warn(
+    `${operation} operation ${
+      key !== undefined ? `on key "${String(key)}" ` : ''
+    }failed: target is readonly.`
+  )
+}
+
+function createObjectView (target: Object): Object {
+  const view = Object.create(Object.getPrototypeOf(target))
+  const keys = Object.keys(target)
+  for (let i = 0; i < keys.length; i++) {
+    defineReadonlyProperty(view, target, keys[i])
+  }
+  return view
+}
+
+function createArrayView (target: Array<any>): Array<any> {
+  const view: any = new Array(target.length)
+  for (let i = 0; i < target.length; i++) {
+    defineReadonlyProperty(view, target, String(i))
+  }
+  mutatingArrayMethods.forEach(method => {
+    def(view, method, function () {
+      warnReadonly(`Array ${method}()`)
+      if (method === 'push' || method === 'unshift') return this.length
+      if (method === 'splice') return []
+      if (method !== 'pop' && method !== 'shift') return this
+    })
+  })
+  return view
+}
+
+const mutatingArrayMethods = [
+  'push',
+  'pop',
+  'shift',
+  'unshift',
+  'splice',
+  'sort',
+  'reverse',
+  'fill',
+  'copyWithin'
+]
+
+// non-configurable, so that the properties of the view can't be deleted
+function defineReadonlyProperty (view: Object, target: any, key: string) {
+  const isIndex = Array.isArray(target)
+  Object.defineProperty(view, key, {
+    enumerable: true,
+    configurable: false,
+    get () {
+      // array elements aren't reactive getters, depend on the array itself
+      const ob = isIndex && target.__ob__
+      if (ob && Dep.target) {
+        ob.dep.depend()
+      }
+      return toReadonly(target[key])
+    },
+    set () {
+      warnReadonly('Set', key)
+    }
+  })
+}
+
+/**
+ * The view of a collection inherits from the collection's prototype (so
+ * that instanceof checks still pass) but implements all of its methods on
+ * top of the original collection, whose own instrumented methods collect
+ * the dependencies.
+ */
+function createCollectionView (target: any): Object {
+  const proto = Object.getPrototypeOf(target)
+  const view: any = Object.create(proto)
+  const iterable = typeof proto.forEach === 'function'
+  const isMap = typeof proto.get === 'function'
+
+  def(view, 'has', value => target.has(toRaw(value)))
+  if (isMap) {
+    def(view, 'get', key => toReadonly(target.get(toRaw(key))))
+    def(view, 'set', function (key) {
+      warnReadonly('Set', key)
+      return this
+    })
+  } else {
+    def(view, 'add', function (value) {
+      warnReadonly('Add', value)
+      return this
+    })
+  }
+  def(view, 'delete', key => {
+    warnReadonly('Delete', key)
+    return false
+  })
+
+  if (iterable) {
+    def(view, 'clear', () => {
+      warnReadonly('Clear')
+    })
+    Object.defineProperty(view, 'size', ({
+      enumerable: false,
+      configurable: true,
+      get () {
+        return target.size
+      }
+    }: any))
+    def(view, 'forEach', (cb: Function, thisArg?: any) => {
+      target.forEach((value, key) => {
+        cb.call(thisArg, toReadonly(value), toReadonly(key), view)
+      })
+    })
+    const wrapEntry = entry => [toReadonly(entry[0]), toReadonly(entry[1])]
+    def(view, 'keys', () => wrapIterator(target.keys(), toReadonly))
+    def(view, 'values', () => wrapIterator(target.values(), toReadonly))
+    def(view, 'entries', () => wrapIterator(target.entries(), wrapEntry))
+    if (hasSymbol) {
+      def(view, (Symbol.iterator: any), () => wrapIterator(
+        target[Symbol.iterator](),
+        isMap ? wrapEntry : toReadonly
+      ))
+    }
+  }
+  return view
+}
+
+function wrapIterator (iterator: Object, wrap: Function): Object {
+  const wrapped: Object = {
+    next () {
+      const result = iterator.next()
+      return result.done
+        ? result
+        : { value: wrap(result.value), done: false }
+    }
+  }
+  if (hasSymbol) {
+    wrapped[(Symbol.iterator: any)] = () => wrapped
+  }
+  return wrapped
+}
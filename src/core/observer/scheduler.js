@@ -1,23 +1,34 @@
 /* @flow */
 
 import type Watcher from './watcher'
+import type { DebuggerEventExtraInfo } from './dep'
 import config from '../config'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
 
 import {
   warn,
   nextTick,
+  formatComponentName,
+  generateComponentTrace,
   devtools,
   inBrowser,
+  isNative,
   isIE
 } from '../util/index'
 
-export const MAX_UPDATE_COUNT = 100
-
 const queue: Array<Watcher> = []
 const activatedChildren: Array<Component> = []
 let has: { [key: number]: ?true } = {}
 let circular: { [key: number]: number } = {}
+// dev only: the watchers that already ran (or are running) in the current
+// flush and the one running right now, so that only re-queues caused by the flush itself count
+// towards circular updates
+let ran: { [key: number]: ?true } = {}
+let activeWatcher: ?Watcher = null
+// dev only: the watcher (and reactive change) that last re-queued a watcher
+// during the flush, used to report circular updates
+type QueueRecord = { by: Watcher, trigger: ?DebuggerEventExtraInfo };
+let requeuedBy: { [key: number]: QueueRecord } = {}
 let waiting = false
 let flushing = false
 let index = 0
@@ -30,6 +41,8 @@ function resetSchedulerState() {
   has = {}
   if (process.env.NODE_ENV !== 'production') {
     circular = {}
+    ran = {}
+    requeuedBy = {}
   }
   waiting = flushing = false
 }
@@ -65,6 +78,51 @@ if (inBrowser && !isIE) {
   }
 }
 
+// Yield to the browser (rendering, input) before resuming a time-sliced
+// flush. MessageChannel avoids the minimum delay of nested setTimeout calls.
+let macroTask: (fn: Function) => void
+/* istanbul ignore if */
+if (!inBrowser) {
+  // an open MessageChannel port would keep a Node.js process alive
+  macroTask = fn => { setTimeout(fn, 0) }
+} else if (typeof setImmediate !== 'undefined' && isNative(setImmediate)) {
+  macroTask = fn => { setImmediate(fn) }
+} else if (typeof MessageChannel !== 'undefined' && (
+  isNative(MessageChannel) ||
+  // PhantomJS
+  MessageChannel.toString() === '[object MessageChannelConstructor]'
+)) {
+  const callbacks: Array<Function> = []
+  let channel
+  macroTask = fn => {
+    // created on the first yield, so that merely importing Vue opens nothing
+    if (!channel) {
+      channel = new MessageChannel()
+      channel.port1.onmessage = () => {
+        const cb = callbacks.shift()
+        cb && cb()
+      }
+    }
+    callbacks.push(fn)
+    channel.port2.postMessage(1)
+  }
+} else {
+  macroTask = fn => { setTimeout(fn, 0) }
+}
+
+/**
+ * Watchers are run in creation order, which guarantees that parents update
+ * before their children and that a component's user watchers run before its
+ * render watcher. Watchers with `flush: 'post'` are deferred until every
+ * other queued watcher has run, i.e. after the DOM has been patched.
+ */
+const sortCompareFn = (a: Watcher, b: Watcher): number => {
+  if (!!a.post !== !!b.post) {
+    return a.post ? 1 : -1
+  }
+  return a.id - b.id
+}
+
 /**
  * Flush both queues and run the watchers.
  * 刷新队列，由 flushCallbacks 函数负责调用，主要做了如下两件事：
@@ -73,10 +131,8 @@ if (inBrowser && !isIE) {
  *    3、遍历 wathcer 队列，依次执行 watcher.before、watcher.run 并清空缓存的 watcher
  */
 function flushSchedulerQueue() {
-  currentFlushTimestamp = getNow()
   // 标志现在正在刷新队列
   flushing = true
-  let watcher, id
 
   /**
    * 刷新队列之前可以先给队列排序（升序），可以保证
@@ -84,31 +140,59 @@ function flushSchedulerQueue() {
    *    2、一个组件的用户 watcher 在其渲染 wathcer 之前被执行，因为用户的 watcher 先于渲染 wathcer 创建
    *    3、如果一个组件在其父组件的 watcher 执行期间被销毁，则他的 watcher 可以被跳过
    */
-  queue.sort((a, b) => a.id - b.id)
+  queue.sort(sortCompareFn)
+
+  runSchedulerQueue()
+}
+
+/**
+ * Run the (sorted) queue starting at the current index. When
+ * `config.flushTimeBudget` is set, the flush yields to the browser once the
+ * budget is used up and resumes from where it left off in a new macrotask.
+ * The queue stays sorted in the meantime since watchers queued while
+ * flushing are inserted in order.
+ */
+function runSchedulerQueue() {
+  currentFlushTimestamp = getNow()
+  const deadline = config.flushTimeBudget > 0 && config.async
+    ? currentFlushTimestamp + config.flushTimeBudget
+    : 0
+  let watcher, id
 
   // 这里直接使用了 queue.length，动态计算队列的长度，没有缓存长度，是因为在执行现有 watcher 期间队列中可能会被 push 进新的 watcher
-  for (index = 0; index < queue.length; index++) {
+  for (; index < queue.length; index++) {
     watcher = queue[index]
+    id = watcher.id
+    // in dev build, check and stop circular updates.
+    if (process.env.NODE_ENV !== 'production' && circular[id] > config.maxUpdateCount) {
+      warn(
+        'You may have an infinite update loop ' + (
+          watcher.user
+            ? `in watcher with expression "${watcher.expression}"`
+            : `in a component render function.`
+        ) + ` (exceeded config.maxUpdateCount of ${config.maxUpdateCount})` +
+        formatUpdateCycle(watcher),
+        watcher.vm
+      )
+      break
+    }
+    if (process.env.NODE_ENV !== 'production') {
+      activeWatcher = watcher
+      ran[id] = true
+    }
     if (watcher.before) {
       watcher.before()
     }
-    id = watcher.id
     has[id] = null
     watcher.run()
-    // in dev build, check and stop circular updates.
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > MAX_UPDATE_COUNT) {
-        warn(
-          'You may have an infinite update loop ' + (
-            watcher.user
-              ? `in watcher with expression "${watcher.expression}"`
-              : `in a component render function.`
-          ),
-          watcher.vm
-        )
-        break
-      }
+    if (process.env.NODE_ENV !== 'production') {
+      activeWatcher = null
+    }
+    if (deadline && index < queue.length - 1 && getNow() >= deadline) {
+      // index keeps pointing at the last run watcher while yielded so that
+      // newly queued watchers are still inserted after it
+      macroTask(resumeSchedulerQueue)
+      return
     }
   }
 
@@ -129,12 +213,64 @@ function flushSchedulerQueue() {
   }
 }
 
+/**
+ * Describe the chain of watchers that kept re-queueing each other, starting
+ * from the watcher that exceeded the update limit, along with the reactive
+ * changes responsible and the component traces of the watchers involved.
+ */
+function formatUpdateCycle(watcher: Watcher): string {
+  const steps = []
+  const vms = []
+  const seen = {}
+  let current = watcher
+  let record
+  while (!seen[current.id] && (record = requeuedBy[current.id])) {
+    seen[current.id] = true
+    const trigger = record.trigger
+    steps.push(
+      `${describeWatcher(current)} was re-queued by ${describeWatcher(record.by)}` +
+      (trigger
+        ? ` (${trigger.type}${trigger.key !== undefined ? ` "${String(trigger.key)}"` : ''})`
+        : '')
+    )
+    current = record.by
+    if (current.vm !== watcher.vm && vms.indexOf(current.vm) < 0) {
+      vms.push(current.vm)
+    }
+  }
+  if (!steps.length) {
+    return ''
+  }
+  return `\n\nUpdate cycle:\n${
+    steps.map((step, i) => `  ${i + 1}. ${step}`).join('\n')
+  }${vms.map(generateComponentTrace).join('')}`
+}
+
+function describeWatcher(watcher: Watcher): string {
+  const owner = formatComponentName(watcher.vm)
+  return watcher.vm._watcher === watcher
+    ? `render function of ${owner}`
+    : `watcher "${watcher.expression}" of ${owner}`
+}
+
+function resumeSchedulerQueue() {
+  index++
+  runSchedulerQueue()
+}
+
 function callUpdatedHooks(queue) {
+  // a time-sliced flush can re-queue a render watcher while yielded, but
+  // each component's updated hook should still only be called once
+  const called: ?{ [key: number]: ?true } = config.flushTimeBudget > 0 ? {} : null
   let i = queue.length
   while (i--) {
     const watcher = queue[i]
     const vm = watcher.vm
     if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+      if (called) {
+        if (called[watcher.id]) continue
+        called[watcher.id] = true
+      }
       callHook(vm, 'updated')
     }
   }
@@ -163,12 +299,23 @@ function callActivatedHooks(queue) {
  * Jobs with duplicate IDs will be skipped unless it's
  * pushed when the queue is being flushed.
  */
-export function queueWatcher(watcher: Watcher) {
+export function queueWatcher(
+  watcher: Watcher,
+  trigger?: ?DebuggerEventExtraInfo
+) {
   const id = watcher.id
   //  如果 watcher  已经存在，则跳过，不会重复入队
   if (has[id] == null) {
     // 缓存 wathcer.id ，用来判断 watcher 是否已经入队
     has[id] = true
+    // in dev build, count how many times a watcher that already ran gets
+    // re-queued by the watchers of the same flush (or itself) to detect
+    // circular updates. Changes made while a time-sliced flush is yielded
+    // are not part of a cycle.
+    if (process.env.NODE_ENV !== 'production' && activeWatcher && ran[id]) {
+      circular[id] = (circular[id] || 0) + 1
+      requeuedBy[id] = { by: activeWatcher, trigger }
+    }
     if (!flushing) {
       // 当前没有处于刷新队列状态，watcher 直接入队
       queue.push(watcher)
@@ -177,7 +324,7 @@ export function queueWatcher(watcher: Watcher) {
       // 从队列末尾开始倒序遍历，根据当前的 watcher.id 找到大于它的 watcher.id 的位置，然后将自己插入到该位置的下一位
       // 即：将当前 watcher 放入到已排序的队列中，且队列仍是有序的
       let i = queue.length - 1
-      while (i > index && queue[i].id > watcher.id) {
+      while (i > index && sortCompareFn(queue[i], watcher) > 0) {
         i--
       }
       queue.splice(i + 1, 0, watcher)
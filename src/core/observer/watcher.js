@@ -7,6 +7,7 @@ import {
   parsePath,
   _Set as Set,
   handleError,
+  ErrorInfo,
   invokeWithErrorHandling,
   noop
 } from '../util/index'
@@ -14,6 +15,9 @@ import {
 import { traverse } from './traverse'
 import { queueWatcher } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import type { DebuggerEventExtraInfo } from './dep'
+import { activeEffectScope, recordEffectScope } from './effect-scope'
+import type { EffectScope } from './effect-scope'
 
 import type { SimpleSet } from '../util/index'
 
@@ -33,13 +37,20 @@ export default class Watcher {
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  post: boolean;
   dirty: boolean;
   active: boolean;
+  paused: boolean;
+  pendingUpdate: boolean;
+  scope: ?EffectScope;
   deps: Array<Dep>;
   newDeps: Array<Dep>;
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  onTrack: ?Function;
+  onTrigger: ?Function;
+  onStop: ?Function;
   getter: Function;
   value: any;
 
@@ -60,14 +71,31 @@ export default class Watcher {
       this.deep = !!options.deep
       this.user = !!options.user
       this.lazy = !!options.lazy
-      this.sync = !!options.sync
+      this.sync = !!options.sync || options.flush === 'sync'
+      this.post = options.flush === 'post'
       this.before = options.before
+      if (
+        process.env.NODE_ENV !== 'production' &&
+        options.flush != null &&
+        options.flush !== 'pre' && !this.sync && !this.post
+      ) {
+        warn(
+          `Invalid flush option "${options.flush}" for watcher "${expOrFn.toString()}": ` +
+          `expected "pre", "post" or "sync".`,
+          vm
+        )
+      }
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
-      this.deep = this.user = this.lazy = this.sync = false
+      this.deep = this.user = this.lazy = this.sync = this.post = false
     }
     this.cb = cb
     this.id = ++uid // uid for batching
     this.active = true
+    this.paused = this.pendingUpdate = false
     this.dirty = this.lazy // for lazy watchers
     this.deps = []
     this.newDeps = []
@@ -97,6 +125,12 @@ export default class Watcher {
     this.value = this.lazy
       ? undefined
       : this.get()
+    // watchers created by a component's own code belong to its scope, only
+    // those created in a user scope's run() belong to that scope
+    recordEffectScope(
+      this,
+      activeEffectScope && !activeEffectScope.vm ? activeEffectScope : vm._scope
+    )
   }
 
   /**
@@ -114,7 +148,7 @@ export default class Watcher {
       value = this.getter.call(vm, vm)
     } catch (e) {
       if (this.user) {
-        handleError(e, vm, `getter for watcher "${this.expression}"`)
+        handleError(e, vm, ErrorInfo.WATCH_GETTER, this.expression)
       } else {
         throw e
       }
@@ -167,13 +201,18 @@ export default class Watcher {
 
   /**
    * 根据 watcher 配置项，决定接下来怎么走，一般是 queueWatcher
+   * `info` describes the triggering change in development, so that the
+   * scheduler can report it when detecting infinite update loops.
    */
-  update() {
+  update(info?: DebuggerEventExtraInfo) {
     /* istanbul ignore else */
     if (this.lazy) {
       // 懒执行走这里，比如 computed
       // 将 dirty 置为 true，可以让 computedGetter 执行时重新计算 computed 回调函数的执行结果
       this.dirty = true
+    } else if (this.paused) {
+      // re-run once the owning effect scope is resumed
+      this.pendingUpdate = true
     } else if (this.sync) {
       // 同步执行，在使用 vm.$watch 或者 watch 选项时可以传一个 sync 选项，
       // 当为 true 时在数据更新时该 watcher 就不走异步更新队列，直接执行 this.run 
@@ -182,7 +221,7 @@ export default class Watcher {
       this.run()
     } else {
       // 更新时一般都这里，将 watcher 放入 watcher 队列
-      queueWatcher(this)
+      queueWatcher(this, info)
     }
   }
 
@@ -205,8 +244,14 @@ export default class Watcher {
         const oldValue = this.value
         this.value = value
         if (this.user) {
-          const info = `callback for watcher "${this.expression}"`
-          invokeWithErrorHandling(this.cb, this.vm, [value, oldValue], this.vm, info)
+          invokeWithErrorHandling(
+            this.cb,
+            this.vm,
+            [value, oldValue],
+            this.vm,
+            ErrorInfo.WATCH_CALLBACK,
+            this.expression
+          )
         } else {
           this.cb.call(this.vm, value, oldValue)
         }
@@ -238,6 +283,23 @@ export default class Watcher {
     }
   }
 
+  /**
+   * Defer updates until resumed. Used by effect scopes.
+   */
+  pause () {
+    this.paused = true
+  }
+
+  resume () {
+    if (this.paused) {
+      this.paused = false
+      if (this.pendingUpdate) {
+        this.pendingUpdate = false
+        this.update()
+      }
+    }
+  }
+
   /**
    * Remove self from all dependencies' subscriber list.
    */
@@ -249,11 +311,22 @@ export default class Watcher {
       if (!this.vm._isBeingDestroyed) {
         remove(this.vm._watchers, this)
       }
+      // same for its scope, unless that is the vm's own and is about to stop
+      const scope = this.scope
+      if (
+        scope && scope.active &&
+        !(this.vm._isBeingDestroyed && scope === this.vm._scope)
+      ) {
+        remove(scope.effects, this)
+      }
       let i = this.deps.length
       while (i--) {
         this.deps[i].removeSub(this)
       }
       this.active = false
+      if (this.onStop) {
+        this.onStop()
+      }
     }
   }
 }
@@ -17,9 +17,11 @@ if (process.env.NODE_ENV !== 'production') {
 
   warn = (msg, vm) => {
     const trace = vm ? generateComponentTrace(vm) : ''
+    const app = vm && vm.$root && vm.$root.$options._app
+    const warnHandler = (app && app.config.warnHandler) || config.warnHandler
 
-    if (config.warnHandler) {
-      config.warnHandler.call(null, msg, vm, trace)
+    if (warnHandler) {
+      warnHandler.call(null, msg, vm, trace)
     } else if (hasConsole && (!config.silent)) {
       console.error(`[Vue warn]: ${msg}${trace}`)
     }
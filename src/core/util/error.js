@@ -4,30 +4,74 @@ import config from '../config'
 import { warn } from './debug'
 import { inBrowser, inWeex } from './env'
 import { isPromise } from 'shared/util'
+import { LIFECYCLE_HOOKS } from 'shared/constants'
 import { pushTarget, popTarget } from '../observer/dep'
 
-export function handleError (err: Error, vm: any, info: string) {
+/**
+ * The info passed to errorCaptured hooks and errorHandler, which tells what
+ * kind of user code failed. What failed exactly (the watched expression, the
+ * computed property, the event...) is passed separately as the detail.
+ */
+export const ErrorInfo = Object.freeze({
+  RENDER: 'render',
+  RENDER_ERROR: 'renderError',
+  DATA: 'data()',
+  SETUP: 'setup()',
+  PROVIDE: 'provide()',
+  NEXT_TICK: 'nextTick',
+  WATCH_GETTER: 'getter for watcher',
+  WATCH_CALLBACK: 'callback for watcher',
+  IMMEDIATE_WATCH_CALLBACK: 'callback for immediate watcher',
+  WATCH_EFFECT: 'watchEffect callback',
+  WATCH_EFFECT_CLEANUP: 'watchEffect cleanup',
+  COMPUTED_GETTER: 'getter for computed property',
+  ASYNC_COMPUTED: 'async computed',
+  EVENT_HANDLER: 'event handler for',
+  V_ON_HANDLER: 'v-on handler',
+  DIRECTIVE_HOOK: 'directive hook',
+  TRANSITION_HOOK: 'transition hook',
+  ASYNC_COMPONENT_FACTORY: 'async component factory'
+})
+
+/**
+ * The info of the errors thrown by each lifecycle hook, e.g. 'created hook'.
+ */
+export const HookErrorInfo: { [hook: string]: string } = Object.freeze(
+  LIFECYCLE_HOOKS.reduce((res, hook) => {
+    res[hook] = `${hook} hook`
+    return res
+  }, {})
+)
+
+export function handleError (
+  err: Error,
+  vm: any,
+  info: string,
+  detail?: string,
+  isAsync?: boolean
+) {
   // Deactivate deps tracking while processing error handler to avoid possible infinite rendering.
   // See: https://github.com/vuejs/vuex/issues/1505
   pushTarget()
   try {
     if (vm) {
+      const args = handlerArgs(err, vm, info, detail)
       let cur = vm
       while ((cur = cur.$parent)) {
         const hooks = cur.$options.errorCaptured
         if (hooks) {
           for (let i = 0; i < hooks.length; i++) {
             try {
-              const capture = hooks[i].call(cur, err, vm, info) === false
+              const capture = hooks[i].apply(cur, args) === false
               if (capture) return
             } catch (e) {
-              globalHandleError(e, cur, 'errorCaptured hook')
+              globalHandleError(e, cur, HookErrorInfo.errorCaptured)
             }
           }
         }
       }
     }
-    globalHandleError(err, vm, info)
+    globalHandleError(err, vm, info, detail, isAsync)
   } finally {
     popTarget()
   }
@@ -38,41 +82,57 @@ export function invokeWithErrorHandling (
   context: any,
   args: null | any[],
   vm: any,
-  info: string
+  info: string,
+  detail?: string
 ) {
   let res
   try {
     res = args ? handler.apply(context, args) : handler.call(context)
     if (res && !res._isVue && isPromise(res) && !res._handled) {
-      res.catch(e => handleError(e, vm, info + ` (Promise/async)`))
+      res.catch(e => handleError(e, vm, info, detail, true))
       // issue #9511
       // avoid catch triggering multiple times when nested calls
       res._handled = true
     }
   } catch (e) {
-    handleError(e, vm, info)
+    handleError(e, vm, info, detail)
   }
   return res
 }
 
-function globalHandleError (err, vm, info) {
-  if (config.errorHandler) {
+// the detail is only passed when there is one, so that handlers keep being
+// called with three arguments for the errors that have none
+function handlerArgs (err, vm, info, detail): Array<any> {
+  return detail !== undefined ? [err, vm, info, detail] : [err, vm, info]
+}
+
+function globalHandleError (err, vm, info, detail, isAsync) {
+  // apps created with Vue.createApp() can have their own handler
+  const app = vm && vm.$root && vm.$root.$options._app
+  const errorHandler = (app && app.config.errorHandler) || config.errorHandler
+  if (errorHandler) {
     try {
-      return config.errorHandler.call(null, err, vm, info)
+      return errorHandler.apply(null, handlerArgs(err, vm, info, detail))
     } catch (e) {
       // if the user intentionally throws the original error in the handler,
       // do not log it twice
       if (e !== err) {
-        logError(e, null, 'config.errorHandler')
+        logError(e, null, errorHandler === config.errorHandler
+          ? 'config.errorHandler'
+          : 'app.config.errorHandler')
       }
     }
   }
-  logError(err, vm, info)
+  logError(err, vm, info, detail, isAsync)
 }
 
-function logError (err, vm, info) {
+function logError (err, vm, info, detail, isAsync) {
   if (process.env.NODE_ENV !== 'production') {
-    warn(`Error in ${info}: "${err.toString()}"`, vm)
+    warn(`Error in ${info}${
+      detail !== undefined ? ` "${detail}"` : ''
+    }${
+      isAsync ? ' (Promise/async)' : ''
+    }: "${err.toString()}"`, vm)
   }
   /* istanbul ignore else */
   if ((inBrowser || inWeex) && typeof console !== 'undefined') {
@@ -2,7 +2,7 @@
 /* globals MutationObserver */
 
 import { noop } from 'shared/util'
-import { handleError } from './error'
+import { ErrorInfo, invokeWithErrorHandling } from './error'
 import { isIE, isIOS, isNative } from './env'
 
 export let isUsingMicroTask = false
@@ -91,11 +91,7 @@ export function nextTick (cb?: Function, ctx?: Object) {
   let _resolve
   callbacks.push(() => {
     if (cb) {
-      try {
-        cb.call(ctx)
-      } catch (e) {
-        handleError(e, ctx, 'nextTick')
-      }
+      invokeWithErrorHandling(cb, ctx, null, ctx, ErrorInfo.NEXT_TICK)
     } else if (_resolve) {
       _resolve(ctx)
     }
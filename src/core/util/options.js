@@ -241,6 +241,7 @@ strats.watch = function (
 strats.props =
 strats.methods =
 strats.inject =
+strats.emits =
 strats.computed = function (
   parentVal: ?Object,
   childVal: ?Object,
@@ -356,6 +357,47 @@ function normalizeInject (options: Object, vm: ?Component) {
   }
 }
 
+/**
+ * Normalize declared events into Object-based format, mapping each event
+ * to its payload validator (or null)
+ */
+function normalizeEmits (options: Object, vm: ?Component) {
+  const emits = options.emits
+  if (!emits) return
+  const normalized = options.emits = {}
+  if (Array.isArray(emits)) {
+    for (let i = 0; i < emits.length; i++) {
+      if (typeof emits[i] === 'string') {
+        normalized[emits[i]] = null
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn('emits must be strings when using array syntax.', vm)
+      }
+    }
+  } else if (isPlainObject(emits)) {
+    for (const key in emits) {
+      const val = emits[key]
+      if (typeof val === 'function') {
+        normalized[key] = val
+      } else {
+        if (process.env.NODE_ENV !== 'production' && val != null) {
+          warn(
+            `Invalid validator for event "${key}" in option "emits": ` +
+            `expected a Function or null, but got ${toRawType(val)}.`,
+            vm
+          )
+        }
+        normalized[key] = null
+      }
+    }
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `Invalid value for option "emits": expected an Array or an Object, ` +
+      `but got ${toRawType(emits)}.`,
+      vm
+    )
+  }
+}
+
 /**
  * Normalize raw function directives into object format.
  */
@@ -397,9 +439,10 @@ export function mergeOptions (
     child = child.options
   }
 
-  // 标准化 props、inject、directive 选项，方便后续程序的处理
+  // 标准化 props、inject、emits、directive 选项，方便后续程序的处理
   normalizeProps(child, vm)
   normalizeInject(child, vm)
+  normalizeEmits(child, vm)
   normalizeDirectives(child)
 
   // 处理原始 child 对象上的 extend 和 mixins ，分别执行 mergeOptions ，将这些继承而来选项合并到 parent
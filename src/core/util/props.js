@@ -1,12 +1,15 @@
 /* @flow */
 
 import { warn } from './debug'
+import { pushTarget, popTarget } from '../observer/dep'
 import { observe, toggleObserving, shouldObserve } from '../observer/index'
 import {
+  extend,
   hasOwn,
   isObject,
   toRawType,
   hyphenate,
+  toNumber,
   capitalize,
   isPlainObject
 } from 'shared/util'
@@ -15,7 +18,12 @@ type PropOptions = {
   type: Function | Array<Function> | null,
   default: any,
   required: ?boolean,
-  validator: ?Function
+  validator: ?Function,
+  nullable?: ?boolean,
+  enum?: ?Array<any>,
+  oneOf?: ?Array<any>,
+  shape?: ?{ [key: string]: any },
+  items?: any
 };
 
 export function validateProp (
@@ -43,7 +51,7 @@ export function validateProp (
   }
   // check default value
   if (value === undefined) {
-    value = getPropDefaultValue(vm, prop, key)
+    value = getPropDefaultValue(vm, prop, key, propsData)
     // since the default value is a fresh copy,
     // make sure to observe it.
     const prevShouldObserve = shouldObserve
@@ -62,9 +70,32 @@ export function validateProp (
 }
 
 /**
- * Get the default value of a prop.
+ * Cast the string value of an attribute to the type of the prop it sets,
+ * e.g. for props of custom elements. Boolean casting is left to
+ * validateProp(), which already handles empty and same-name values.
  */
-function getPropDefaultValue (vm: ?Component, prop: PropOptions, key: string): any {
+export function castAttrValue (value: string, prop: Object): any {
+  const numberIndex = getTypeIndex(Number, prop.type)
+  if (numberIndex > -1 && value !== '') {
+    const stringIndex = getTypeIndex(String, prop.type)
+    if (stringIndex < 0 || numberIndex < stringIndex) {
+      return toNumber(value)
+    }
+  }
+  return value
+}
+
+/**
+ * Get the default value of a prop. Factory functions are called with the raw
+ * props passed by the parent and the resolved injections of the instance, as
+ * sibling props may not be validated yet when they run.
+ */
+function getPropDefaultValue (
+  vm: ?Component,
+  prop: PropOptions,
+  key: string,
+  propsData: Object
+): any {
   // no default, return undefined
   if (!hasOwn(prop, 'default')) {
     return undefined
@@ -79,9 +110,13 @@ function getPropDefaultValue (vm: ?Component, prop: PropOptions, key: string): a
       vm
     )
   }
+  const isFactory = typeof def === 'function' && getType(prop.type) !== 'Function'
   // the raw prop value was also undefined from previous render,
-  // return previous default value to avoid unnecessary watcher trigger
-  if (vm && vm.$options.propsData &&
+  // return previous default value to avoid unnecessary watcher trigger.
+  // Factories taking arguments may derive it from other props, which may
+  // have changed since, so they always run again
+  if (!(isFactory && def.length > 0) &&
+    vm && vm.$options.propsData &&
     vm.$options.propsData[key] === undefined &&
     vm._props[key] !== undefined
   ) {
@@ -89,9 +124,29 @@ function getPropDefaultValue (vm: ?Component, prop: PropOptions, key: string): a
   }
   // call factory function for non-Function types
   // a value is Function if its prototype is function even across different execution context
-  return typeof def === 'function' && getType(prop.type) !== 'Function'
-    ? def.call(vm)
-    : def
+  if (isFactory) {
+    // a frozen copy, so that the factory can't change the props passed by
+    // the parent
+    const rawProps = Object.freeze(extend({}, propsData))
+    return def.call(vm, rawProps, getInjections(vm))
+  }
+  return def
+}
+
+// injections are resolved before props, so they are already defined on vm
+function getInjections (vm: ?Component): Object {
+  const injections = {}
+  // normalized to the object format by mergeOptions()
+  const inject: any = vm && vm.$options.inject
+  if (vm && inject) {
+    // the parent's render watcher may be active, it must not depend on them
+    pushTarget()
+    Object.keys(inject).forEach(key => {
+      injections[key] = (vm: any)[key]
+    })
+    popTarget()
+  }
+  return injections
 }
 
 /**
@@ -111,7 +166,7 @@ function assertProp (
     )
     return
   }
-  if (value == null && !prop.required) {
+  if (value == null && (!prop.required || prop.nullable)) {
     return
   }
   let type = prop.type
@@ -143,8 +198,107 @@ function assertProp (
         'Invalid prop: custom validator check failed for prop "' + name + '".',
         vm
       )
+      return
+    }
+  }
+  const errors = []
+  assertSchemaConstraints(prop, value, name, errors, vm)
+  for (let i = 0; i < errors.length; i++) {
+    warn(errors[i], vm)
+  }
+}
+
+/**
+ * Props can describe the structure of their value: allowed values (enum),
+ * alternative schemas (oneOf), the schemas of the properties of an object
+ * (shape) and of the elements of an array (items). Nested schemas are
+ * either a type, an array of types or an object with the same options as a
+ * prop (except default). Errors are collected with the path of the value
+ * they concern, e.g. "user.addresses[0].zip".
+ */
+function assertSchema (
+  schema: any,
+  value: any,
+  path: string,
+  errors: Array<string>,
+  vm: ?Component
+) {
+  if (typeof schema === 'function' || Array.isArray(schema)) {
+    schema = { type: schema }
+  }
+  if (value == null) {
+    if (schema.required && value === undefined) {
+      errors.push(`Missing required prop: "${path}"`)
+    } else if (schema.required && !schema.nullable) {
+      errors.push(getSchemaTypeMessage(path, value, schema.type))
+    }
+    return
+  }
+  let type = schema.type
+  if (type) {
+    if (!Array.isArray(type)) {
+      type = [type]
+    }
+    if (!type.some(t => assertType(value, t, vm).valid)) {
+      errors.push(getSchemaTypeMessage(path, value, type))
+      return
+    }
+  }
+  if (schema.validator && !schema.validator(value)) {
+    errors.push(`Invalid prop: custom validator check failed for prop "${path}".`)
+    return
+  }
+  assertSchemaConstraints(schema, value, path, errors, vm)
+}
+
+function assertSchemaConstraints (
+  schema: Object,
+  value: any,
+  path: string,
+  errors: Array<string>,
+  vm: ?Component
+) {
+  const { enum: values, oneOf, shape, items } = schema
+  if (values && values.indexOf(value) < 0) {
+    errors.push(
+      `Invalid prop "${path}": expected one of ` +
+      `${values.map(formatSchemaValue).join(', ')}, ` +
+      `got ${formatSchemaValue(value)}.`
+    )
+    return
+  }
+  if (oneOf && !oneOf.some(s => {
+    const alternativeErrors = []
+    assertSchema(s, value, path, alternativeErrors, vm)
+    return !alternativeErrors.length
+  })) {
+    errors.push(
+      `Invalid prop "${path}": value does not match any of the allowed ` +
+      `schemas, got ${toRawType(value)}.`
+    )
+    return
+  }
+  if (shape && isPlainObject(value)) {
+    for (const key in shape) {
+      assertSchema(shape[key], value[key], `${path}.${key}`, errors, vm)
     }
   }
+  if (items && Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      assertSchema(items, value[i], `${path}[${i}]`, errors, vm)
+    }
+  }
+}
+
+function getSchemaTypeMessage (path: string, value: any, type: any): string {
+  const expected = type
+    ? (Array.isArray(type) ? type : [type]).map(getType).join(' or ')
+    : 'a value'
+  return `Invalid prop "${path}": expected ${expected}, got ${toRawType(value)}.`
+}
+
+function formatSchemaValue (value: any): string {
+  return typeof value === 'string' ? `"${value}"` : String(value)
 }
 
 const simpleCheckRE = /^(String|Number|Boolean|Function|Symbol|BigInt)$/
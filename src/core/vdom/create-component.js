@@ -172,14 +172,25 @@ export function createComponent (
 
   if (isTrue(Ctor.options.abstract)) {
     // abstract components do not keep anything
-    // other than props & listeners & slot
+    // other than props & listeners & slot & scoped slots & ref
+    // (the ref of any abstract component is kept, e.g. so that the
+    // cache of a keep-alive can be controlled through it)
 
     // work around flow
-    const slot = data.slot
+    const { slot, scopedSlots, ref, refInFor } = data
     data = {}
     if (slot) {
       data.slot = slot
     }
+    if (scopedSlots) {
+      data.scopedSlots = scopedSlots
+    }
+    if (isDef(ref)) {
+      data.ref = ref
+      if (refInFor) {
+        data.refInFor = refInFor
+      }
+    }
   }
 
   // install component management hooks onto the placeholder node
@@ -253,6 +264,12 @@ function transformModel (options, data: any) {
   const prop = (options.model && options.model.prop) || 'value'
   const event = (options.model && options.model.event) || 'input'
   ;(data.attrs || (data.attrs = {}))[prop] = data.model.value
+  if (isDef(data.model.modifiers)) {
+    // passed like a render function prop, so that it is only extracted if
+    // the child declares it and never falls through to $attrs
+    const props = data.props || (data.props = {})
+    props.modelModifiers = data.model.modifiers
+  }
   const on = data.on || (data.on = {})
   const existing = on[event]
   const callback = data.model.callback
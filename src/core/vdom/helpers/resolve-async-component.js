@@ -2,6 +2,7 @@
 
 import {
   warn,
+  noop,
   once,
   isDef,
   isUndef,
@@ -9,7 +10,9 @@ import {
   isObject,
   hasSymbol,
   isPromise,
-  remove
+  remove,
+  ErrorInfo,
+  handleError
 } from 'core/util/index'
 
 import { createEmptyVNode } from 'core/vdom/vnode'
@@ -40,6 +43,32 @@ export function createAsyncPlaceholder (
   return node
 }
 
+/**
+ * Call cb once the factory has resolved or failed. Used by <suspense> to wait
+ * for the async components in its content. Returns a function that removes
+ * the callback.
+ */
+export function onAsyncFactorySettled (factory: Function, cb: Function): Function {
+  if (isTrue(factory.settled)) {
+    cb()
+    return noop
+  }
+  const cbs = factory.settledCallbacks || (factory.settledCallbacks = [])
+  cbs.push(cb)
+  return () => remove(cbs, cb)
+}
+
+function settle (factory: Function) {
+  factory.settled = true
+  const cbs = factory.settledCallbacks
+  if (isDef(cbs)) {
+    factory.settledCallbacks = undefined
+    for (let i = 0; i < cbs.length; i++) {
+      cbs[i]()
+    }
+  }
+}
+
 export function resolveAsyncComponent (
   factory: Function,
   baseCtor: Class<Component>
@@ -98,20 +127,33 @@ export function resolveAsyncComponent (
       } else {
         owners.length = 0
       }
+      settle(factory)
     })
 
     const reject = once(reason => {
-      process.env.NODE_ENV !== 'production' && warn(
-        `Failed to resolve async component: ${String(factory)}` +
-        (reason ? `\nReason: ${reason}` : '')
-      )
+      // errors thrown while loading the component are reported to the
+      // instance that rendered it first, like errors in its own render
+      if (reason instanceof Error) {
+        handleError(reason, owner, ErrorInfo.ASYNC_COMPONENT_FACTORY)
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn(
+          `Failed to resolve async component: ${String(factory)}` +
+          (reason ? `\nReason: ${reason}` : '')
+        )
+      }
       if (isDef(factory.errorComp)) {
         factory.error = true
         forceRender(true)
       }
+      settle(factory)
     })
 
-    const res = factory(resolve, reject)
+    let res: any
+    try {
+      res = factory(resolve, reject)
+    } catch (e) {
+      reject(e)
+    }
 
     if (isObject(res)) {
       if (isPromise(res)) {
@@ -2,6 +2,7 @@
 
 import {
   warn,
+  ErrorInfo,
   invokeWithErrorHandling
 } from 'core/util/index'
 import {
@@ -11,7 +12,7 @@ import {
   isPlainObject
 } from 'shared/util'
 
-const normalizeEvent = cached((name: string): {
+export const normalizeEvent = cached((name: string): {
   name: string,
   once: boolean,
   capture: boolean,
@@ -39,11 +40,11 @@ export function createFnInvoker (fns: Function | Array<Function>, vm: ?Component
     if (Array.isArray(fns)) {
       const cloned = fns.slice()
       for (let i = 0; i < cloned.length; i++) {
-        invokeWithErrorHandling(cloned[i], null, arguments, vm, `v-on handler`)
+        invokeWithErrorHandling(cloned[i], null, arguments, vm, ErrorInfo.V_ON_HANDLER)
       }
     } else {
       // return handler return value for single handlers
-      return invokeWithErrorHandling(fns, null, arguments, vm, `v-on handler`)
+      return invokeWithErrorHandling(fns, null, arguments, vm, ErrorInfo.V_ON_HANDLER)
     }
   }
   invoker.fns = fns
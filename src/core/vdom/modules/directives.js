@@ -1,7 +1,7 @@
 /* @flow */
 
 import { emptyNode } from 'core/vdom/patch'
-import { resolveAsset, handleError } from 'core/util/index'
+import { ErrorInfo, resolveAsset, invokeWithErrorHandling } from 'core/util/index'
 import { mergeVNodeHook } from 'core/vdom/helpers/index'
 
 export default {
@@ -111,10 +111,13 @@ function getRawDirName (dir: VNodeDirective): string {
 function callHook (dir, hook, vnode, oldVnode, isDestroy) {
   const fn = dir.def && dir.def[hook]
   if (fn) {
-    try {
-      fn(vnode.elm, dir, vnode, oldVnode, isDestroy)
-    } catch (e) {
-      handleError(e, vnode.context, `directive ${dir.name} ${hook} hook`)
-    }
+    invokeWithErrorHandling(
+      fn,
+      null,
+      [vnode.elm, dir, vnode, oldVnode, isDestroy],
+      vnode.context,
+      ErrorInfo.DIRECTIVE_HOOK,
+      `${dir.name} ${hook}`
+    )
   }
 }
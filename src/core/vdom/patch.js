@@ -45,6 +45,7 @@ function sameVnode(a, b) {
         a.tag === b.tag &&
         // 都是注释节点
         a.isComment === b.isComment &&
+        a.isFragment === b.isFragment &&
         // 都有 data 属性
         isDef(a.data) === isDef(b.data) &&
         sameInputType(a, b)
@@ -93,10 +94,10 @@ export function createPatchFunction(backend) {
     return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
   }
 
-  function createRmCb(childElm, listeners) {
+  function createRmCb(vnode, listeners) {
     function remove() {
       if (--remove.listeners === 0) {
-        removeNode(childElm)
+        removeVnodeNodes(vnode)
       }
     }
     remove.listeners = listeners
@@ -111,6 +112,54 @@ export function createPatchFunction(backend) {
     }
   }
 
+  // a fragment spans from its start anchor (vnode.elm) to its end anchor,
+  // including everything its children render in between. A component whose
+  // root is a fragment spans the same nodes.
+  function getRootVnode(vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return vnode
+  }
+
+  function getLastNode(vnode) {
+    const root = getRootVnode(vnode)
+    return isTrue(root.isFragment) ? root.anchor : vnode.elm
+  }
+
+  function getFragmentNodes(vnode, nodes) {
+    vnode = getRootVnode(vnode)
+    if (isTrue(vnode.isFragment)) {
+      nodes.push(vnode.elm)
+      for (let i = 0; i < vnode.children.length; ++i) {
+        getFragmentNodes(vnode.children[i], nodes)
+      }
+      nodes.push(vnode.anchor)
+    } else {
+      nodes.push(vnode.elm)
+    }
+    return nodes
+  }
+
+  function insertVnode(parent, vnode, ref) {
+    if (isTrue(getRootVnode(vnode).isFragment)) {
+      const nodes = getFragmentNodes(vnode, [])
+      for (let i = 0; i < nodes.length; ++i) {
+        insert(parent, nodes[i], ref)
+      }
+    } else {
+      insert(parent, vnode.elm, ref)
+    }
+  }
+
+  function removeVnodeNodes(vnode) {
+    if (isTrue(getRootVnode(vnode).isFragment)) {
+      getFragmentNodes(vnode, []).forEach(removeNode)
+    } else {
+      removeNode(vnode.elm)
+    }
+  }
+
   function isUnknownElement(vnode, inVPre) {
     return (
       !inVPre &&
@@ -208,6 +257,17 @@ export function createPatchFunction(backend) {
     } else if (isTrue(vnode.isComment)) {
       vnode.elm = nodeOps.createComment(vnode.text)
       insert(parentElm, vnode.elm, refElm)
+    } else if (isTrue(vnode.isFragment)) {
+      vnode.elm = nodeOps.createComment('[')
+      vnode.anchor = nodeOps.createComment(']')
+      insert(parentElm, vnode.elm, refElm)
+      insert(parentElm, vnode.anchor, refElm)
+      if (process.env.NODE_ENV !== 'production') {
+        checkDuplicateKeys(children)
+      }
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, parentElm, vnode.anchor, nested, children, i)
+      }
     } else {
       vnode.elm = nodeOps.createTextNode(vnode.text)
       insert(parentElm, vnode.elm, refElm)
@@ -227,7 +287,7 @@ export function createPatchFunction(backend) {
       // in that case we can just return the element and be done.
       if (isDef(vnode.componentInstance)) {
         initComponent(vnode, insertedVnodeQueue)
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
         if (isTrue(isReactivated)) {
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm)
         }
@@ -273,7 +333,7 @@ export function createPatchFunction(backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
   }
 
   function insert(parent, elm, ref) {
@@ -372,6 +432,8 @@ export function createPatchFunction(backend) {
         if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
+        } else if (isTrue(ch.isFragment)) {
+          removeFragment(ch)
         } else { // Text node
           removeNode(ch.elm)
         }
@@ -379,6 +441,13 @@ export function createPatchFunction(backend) {
     }
   }
 
+  // remove the whole range of a fragment, destroying the components in it
+  function removeFragment(vnode) {
+    removeVnodes(vnode.children, 0, vnode.children.length - 1)
+    removeNode(vnode.elm)
+    removeNode(vnode.anchor)
+  }
+
   function removeAndInvokeRemoveHook(vnode, rm) {
     if (isDef(rm) || isDef(vnode.data)) {
       let i
@@ -389,7 +458,7 @@ export function createPatchFunction(backend) {
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(vnode, listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
@@ -416,7 +485,7 @@ export function createPatchFunction(backend) {
    * 如果老节点先于新节点遍历结束，则剩余的新节点执行新增节点操作
    * 如果新节点先于老节点遍历结束，则剩余的老节点执行删除操作，移除这些老节点
    */
-  function updateChildren(parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  function updateChildren(parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, endAnchor) {
     // 老节点的开始索引
     let oldStartIdx = 0
     // 新节点的开始索引
@@ -468,7 +537,7 @@ export function createPatchFunction(backend) {
         // 老开始和新结束是同一个节点，执行 patch
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
         // 将老开始节点移动到老结束节点后即可
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
+        canMove && insertVnode(parentElm, oldStartVnode, nodeOps.nextSibling(getLastNode(oldEndVnode)))
         // patch 结束后老开始索引 +1，新结束索引 -1
         oldStartVnode = oldCh[++oldStartIdx]
         newEndVnode = newCh[--newEndIdx]
@@ -476,7 +545,7 @@ export function createPatchFunction(backend) {
         // 老结束和新开始是同一个节点，执行 patch
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
         // 将老结束节点移动到老开始节点即可
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
+        canMove && insertVnode(parentElm, oldEndVnode, oldStartVnode.elm)
         // patch 结束后，老结束的索引减 1，新开始的索引加 1
         oldEndVnode = oldCh[--oldEndIdx]
         newStartVnode = newCh[++newStartIdx]
@@ -513,7 +582,7 @@ export function createPatchFunction(backend) {
             // patch 结束后将该老节点置为 undefined
             oldCh[idxInOld] = undefined
             // 将找到的老节点插入到老开始节点的前面
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
+            canMove && insertVnode(parentElm, vnodeToMove, oldStartVnode.elm)
           } else {
             // 最后这种情况是，找到节点了，但是发现两个节点不是同一个节点，则视为新元素，执行创建
             createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
@@ -526,7 +595,8 @@ export function createPatchFunction(backend) {
     // 走到这里，说明老节点或者新节点被遍历完了
     if (oldStartIdx > oldEndIdx) {
       // 说明老节点被遍历完了，新节点有剩余，则寿命这部分剩余的节点是新增的节点，然后添加这些节点
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      // children of a fragment are inserted before its end anchor
+      refElm = isUndef(newCh[newEndIdx + 1]) ? endAnchor || null : newCh[newEndIdx + 1].elm
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
       // 说明新节点被遍历完了，老节点有剩余，说明这部分的节点被删掉了，则移除这些节点
@@ -634,7 +704,9 @@ export function createPatchFunction(backend) {
       for (i = 0; i < cbs.update.length; ++i) cbs.update[i](oldVnode, vnode)
       if (isDef(i = data.hook) && isDef(i = i.update)) i(oldVnode, vnode)
     }
-    if (isUndef(vnode.text)) {
+    if (isTrue(vnode.isFragment)) {
+      patchFragment(oldVnode, vnode, insertedVnodeQueue, removeOnly)
+    } else if (isUndef(vnode.text)) {
       // 新节点不是文本节点
       if (isDef(oldCh) && isDef(ch)) {
         // 如果新老节点都有孩子，则递归执行 diff 过程
@@ -663,11 +735,46 @@ export function createPatchFunction(backend) {
     }
   }
 
+  // the children of a fragment are diffed in place, between its start and end
+  // anchors: new children are inserted before the end anchor and the nodes
+  // of removed children (fragments included) are removed from the range
+  function patchFragment(oldVnode, vnode, insertedVnodeQueue, removeOnly) {
+    const anchor = vnode.anchor = oldVnode.anchor
+    const oldCh = oldVnode.children
+    const ch = vnode.children
+    if (oldCh !== ch) {
+      const parentElm = nodeOps.parentNode(anchor)
+      updateChildren(parentElm, oldCh, ch, insertedVnodeQueue, removeOnly, anchor)
+    }
+  }
+
+  // insert hooks delayed by the content of a <suspense> that isn't inserted
+  // yet. Contents that are already inserted are skipped, up to the outer ones.
+  function getPendingInsert(vnode) {
+    let content = vnode.componentInstance && vnode.componentInstance._suspenseContent
+    while (content) {
+      const pendingInsert = content.$vnode.data.pendingInsert
+      if (isDef(pendingInsert)) {
+        return pendingInsert
+      }
+      content = content.$options.parent._suspenseContent
+    }
+  }
+
   function invokeInsertHook(vnode, queue, initial) {
     // delay insert hooks for component root nodes, invoke them after the
     // element is really inserted
     if (isTrue(initial) && isDef(vnode.parent)) {
       vnode.parent.data.pendingInsert = queue
+      return
+    }
+    // updates of components that aren't inserted yet, e.g. the content of a
+    // pending <suspense>, are delayed as well
+    const pendingInsert = isDef(vnode.parent) && queue.length
+      ? getPendingInsert(vnode.parent)
+      : undefined
+    if (isDef(pendingInsert)) {
+      pendingInsert.push.apply(pendingInsert, queue)
     } else {
       for (let i = 0; i < queue.length; ++i) {
         queue[i].data.hook.insert(queue[i])
@@ -693,6 +800,9 @@ export function createPatchFunction(backend) {
       vnode.isAsyncPlaceholder = true
       return true
     }
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre)
+    }
     // assert node match
     if (process.env.NODE_ENV !== 'production') {
       if (!assertNodeMatch(elm, vnode, inVPre)) {
@@ -737,7 +847,7 @@ export function createPatchFunction(backend) {
                 childrenMatch = false
                 break
               }
-              childNode = childNode.nextSibling
+              childNode = getLastNode(children[i]).nextSibling
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
@@ -776,6 +886,42 @@ export function createPatchFunction(backend) {
     return true
   }
 
+  // fragments are server-rendered between <!--[--> and <!--]--> anchors
+  function hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre) {
+    if (elm.nodeType !== 8 || elm.data !== '[') {
+      return false
+    }
+    const children = vnode.children
+    let node = elm.nextSibling
+    for (let i = 0; i < children.length; i++) {
+      if (!node || !hydrate(node, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      node = getLastNode(children[i]).nextSibling
+    }
+    if (!node || node.nodeType !== 8 || node.data !== ']') {
+      return false
+    }
+    vnode.anchor = node
+    return true
+  }
+
+  // a server-rendered root fragment has its hydration marker on its root
+  // elements, it starts at the start anchor preceding them
+  function findFragmentStart(elm) {
+    let depth = 0
+    let node = elm.previousSibling
+    while (node) {
+      if (node.nodeType === 8 && node.data === ']') {
+        depth++
+      } else if (node.nodeType === 8 && node.data === '[') {
+        if (depth === 0) return node
+        depth--
+      }
+      node = node.previousSibling
+    }
+  }
+
   function assertNodeMatch(node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
@@ -821,9 +967,17 @@ export function createPatchFunction(backend) {
             hydrating = true
           }
           if (isTrue(hydrating)) {
-            if (hydrate(oldVnode, vnode, insertedVnodeQueue)) {
+            const hydrateElm = isTrue(vnode.isFragment)
+              ? findFragmentStart(oldVnode) || oldVnode
+              : oldVnode
+            if (hydrate(hydrateElm, vnode, insertedVnodeQueue)) {
+              if (hydrateElm !== oldVnode) {
+                getFragmentNodes(vnode, []).forEach(node => {
+                  if (node.nodeType === 1) node.removeAttribute(SSR_ATTR)
+                })
+              }
               invokeInsertHook(vnode, insertedVnodeQueue, true)
-              return oldVnode
+              return vnode.elm
             } else if (process.env.NODE_ENV !== 'production') {
               warn(
                 'The client-side rendered virtual DOM tree is not matching ' +
@@ -852,7 +1006,7 @@ export function createPatchFunction(backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(getLastNode(oldVnode))
         )
 
         // 递归更新父占位符节点元素
@@ -18,6 +18,8 @@ export default class VNode {
   isStatic: boolean; // hoisted static node
   isRootInsert: boolean; // necessary for enter transition check
   isComment: boolean; // empty comment placeholder?
+  isFragment: boolean; // multiple root nodes rendered between two anchors?
+  anchor: Node | void; // end anchor of a fragment (elm is the start anchor)
   isCloned: boolean; // is a cloned node?
   isOnce: boolean; // is a v-once node?
   asyncFactory: Function | void; // async component factory function
@@ -28,6 +30,7 @@ export default class VNode {
   fnOptions: ?ComponentOptions; // for SSR caching
   devtoolsMeta: ?Object; // used to store functional render context for devtools
   fnScopeId: ?string; // functional scope id support
+  teleport: ?{ to: string, content: ?VNode }; // <teleport> placeholder (server only)
 
   constructor (
     tag?: string,
@@ -57,6 +60,8 @@ export default class VNode {
     this.isStatic = false
     this.isRootInsert = true
     this.isComment = false
+    this.isFragment = false
+    this.anchor = undefined
     this.isCloned = false
     this.isOnce = false
     this.asyncFactory = asyncFactory
@@ -78,6 +83,12 @@ export const createEmptyVNode = (text: string = '') => {
   return node
 }
 
+export function createFragmentVNode (children: Array<VNode>) {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
 export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
@@ -104,6 +115,8 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.isStatic = vnode.isStatic
   cloned.key = vnode.key
   cloned.isComment = vnode.isComment
+  cloned.isFragment = vnode.isFragment
+  cloned.anchor = vnode.anchor
   cloned.fnContext = vnode.fnContext
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
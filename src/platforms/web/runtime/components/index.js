@@ -1,7 +1,9 @@
 import Transition from './transition'
 import TransitionGroup from './transition-group'
+import Teleport from './teleport'
 
 export default {
   Transition,
-  TransitionGroup
+  TransitionGroup,
+  Teleport
 }
@@ -0,0 +1,151 @@
+/* @flow */
+
+// Renders its content into another DOM node (e.g. a modal container) while
+// keeping it in the logical component tree. The content is mounted by a
+// separate abstract instance whose parent is the teleport, so components
+// inside it still have the teleport's parent as $parent and can inject what
+// it provides. Event listeners and slot scope are resolved where the content
+// is declared, like for any other slot.
+
+import { SSR_ATTR } from 'shared/constants'
+import { warn, inBrowser, isServerRendering } from 'core/util/index'
+import { isAsyncPlaceholder } from 'core/vdom/helpers/index'
+
+const isNotTextNode = (c: VNode) => c.tag || isAsyncPlaceholder(c)
+
+function getContent (vm: Component): ?VNode {
+  const slot = vm.$scopedSlots.default
+  let children: any = slot && slot()
+  if (!children) {
+    return
+  }
+  // filter out text nodes (possible whitespaces)
+  children = children.filter(isNotTextNode)
+  if (process.env.NODE_ENV !== 'production' && children.length > 1) {
+    warn('<teleport> can only be used on a single element.', vm.$parent)
+  }
+  return children[0]
+}
+
+function resolveTarget (vm: any): ?Element {
+  const to = vm.to
+  const target = typeof to === 'string'
+    ? document.querySelector(to)
+    : to
+  if (process.env.NODE_ENV !== 'production' && !target) {
+    warn(`Failed to locate <teleport> target "${String(to)}".`, vm.$parent)
+  }
+  return target
+}
+
+// content rendered on the server is hydrated instead of being re-created
+function findServerRenderedContent (target: Element): ?Element {
+  const children = target.children
+  for (let i = 0; i < children.length; i++) {
+    if (children[i].hasAttribute(SSR_ATTR)) {
+      return children[i]
+    }
+  }
+}
+
+export default {
+  name: 'teleport',
+  abstract: true,
+
+  props: {
+    // a selector or an element
+    to: {
+      required: true
+    },
+    // render the content in place instead. Note that toggling this re-creates
+    // the content.
+    disabled: Boolean
+  },
+
+  watch: {
+    to () {
+      this.sync()
+    }
+  },
+
+  render (h: Function) {
+    if (this.disabled) {
+      return getContent(this)
+    }
+    const placeholder = h()
+    if (isServerRendering()) {
+      // picked up by the server renderer, which renders the content into
+      // context.teleports[to]
+      placeholder.teleport = { to: this.to, content: getContent(this) }
+    }
+    return placeholder
+  },
+
+  methods: {
+    sync () {
+      if (this.disabled || !inBrowser) {
+        this.unmount()
+        return
+      }
+      const target = resolveTarget(this)
+      if (!target) {
+        this.unmount()
+      } else if (!this._portal) {
+        this.mount(target)
+      } else if (this._portal.$el.parentNode !== target) {
+        target.appendChild(this._portal.$el)
+      }
+    },
+
+    mount (target: Element) {
+      const teleport = this
+      const Vue = this.$options._base
+      const portal = this._portal = new Vue({
+        name: 'teleport-content',
+        parent: this,
+        abstract: true,
+        render () {
+          return getContent(teleport)
+        }
+      })
+      let el = findServerRenderedContent(target)
+      if (!el) {
+        el = document.createElement('div')
+        target.appendChild(el)
+      }
+      portal.$mount(el)
+    },
+
+    unmount () {
+      const portal = this._portal
+      if (portal) {
+        this._portal = null
+        portal.$destroy()
+        const el = portal.$el
+        if (el.parentNode) {
+          el.parentNode.removeChild(el)
+        }
+      }
+    }
+  },
+
+  mounted () {
+    this.sync()
+  },
+
+  beforeUpdate () {
+    // the slot content changed, re-render it in the same flush (the portal is
+    // queued after the teleport since it was created after it)
+    if (this._portal) {
+      this._portal.$forceUpdate()
+    }
+  },
+
+  updated () {
+    this.sync()
+  },
+
+  beforeDestroy () {
+    this.unmount()
+  }
+}
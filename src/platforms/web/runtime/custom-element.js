@@ -0,0 +1,150 @@
+/* @flow */
+
+// Wraps a component into a native custom element, so it can be used by pages
+// that don't use Vue themselves. The element mounts an instance of the
+// component into its shadow root: its props are set through the attributes
+// and properties of the element, the events the instance emits are
+// dispatched as CustomEvents on it and its slots are rendered as native
+// <slot>s receiving the light DOM children of the element.
+
+import Vue from 'core/index'
+import { toggleObserving } from 'core/observer/index'
+import { nextTick, validateProp, castAttrValue } from 'core/util/index'
+import { hasOwn, toArray, camelize, hyphenate } from 'shared/util'
+
+const hookRE = /^hook:/
+
+export function defineCustomElement (
+  options: Object | Class<Component>
+): Class<HTMLElement> {
+  const Ctor = typeof options === 'function' ? options : Vue.extend(options)
+  const propOptions = Ctor.options.props || {}
+  const propKeys = Object.keys(propOptions)
+
+  // the instances mounted by the elements dispatch what they emit on them
+  const ElementCtor = Ctor.extend({})
+  ElementCtor.prototype.$emit = function (event: string): Component {
+    Ctor.prototype.$emit.apply(this, arguments)
+    const host = this.$options._customElement
+    if (host && !hookRE.test(event)) {
+      const detail = toArray(arguments, 1)
+      host.dispatchEvent(new CustomEvent(event, { detail }))
+      // allow listening to camelCase events in hyphenated form in HTML
+      const hyphenatedEvent = hyphenate(event)
+      if (hyphenatedEvent !== event) {
+        host.dispatchEvent(new CustomEvent(hyphenatedEvent, { detail }))
+      }
+    }
+    return this
+  }
+
+  const VueElement: any = function VueElement () {
+    // constructed through Reflect so that it still works once compiled to
+    // ES5, where the HTMLElement constructor can't be called like a function
+    const el: any = Reflect.construct(HTMLElement, [], this.constructor)
+    el._props = {}
+    el._instance = null
+    el.attachShadow({ mode: 'open' })
+    // properties set on the element before it was upgraded shadow the
+    // accessors of its prototype
+    propKeys.forEach(key => {
+      if (hasOwn(el, key)) {
+        const value = el[key]
+        delete el[key]
+        el[key] = value
+      }
+    })
+    return el
+  }
+
+  VueElement.prototype = Object.create(HTMLElement.prototype)
+  VueElement.prototype.constructor = VueElement
+  Object.setPrototypeOf(VueElement, HTMLElement)
+  VueElement.observedAttributes = propKeys.map(hyphenate)
+  VueElement.component = Ctor
+
+  propKeys.forEach(key => {
+    Object.defineProperty(VueElement.prototype, key, {
+      get () {
+        return this._instance ? this._instance[key] : this._props[key]
+      },
+      set (value) {
+        this._setProp(key, value)
+      },
+      configurable: true
+    })
+  })
+
+  VueElement.prototype.connectedCallback = function () {
+    if (!this._instance) {
+      this._mount()
+    }
+  }
+
+  VueElement.prototype.disconnectedCallback = function () {
+    // an element moved in the document is disconnected and connected again
+    // right away, only unmount the instance if it stays out of the document
+    nextTick(() => {
+      if (!this.isConnected && this._instance) {
+        this._unmount()
+      }
+    })
+  }
+
+  VueElement.prototype.attributeChangedCallback = function (
+    name: string,
+    oldValue: ?string,
+    value: ?string
+  ) {
+    const key = camelize(name)
+    this._setProp(key, value == null
+      ? undefined
+      : castAttrValue(value, propOptions[key])
+    )
+  }
+
+  VueElement.prototype._setProp = function (key: string, value: any) {
+    const propsData = this._props
+    if (value === undefined) {
+      delete propsData[key]
+    } else {
+      propsData[key] = value
+    }
+    const vm = this._instance
+    if (vm) {
+      toggleObserving(false)
+      vm._props[key] = validateProp(key, vm.$options.props, propsData, vm)
+      toggleObserving(true)
+    }
+  }
+
+  VueElement.prototype._mount = function () {
+    const root = this.shadowRoot
+    const styles = Ctor.options.styles
+    if (styles) {
+      styles.forEach(css => {
+        const style = document.createElement('style')
+        style.textContent = css
+        root.appendChild(style)
+      })
+    }
+    const container = document.createElement('div')
+    root.appendChild(container)
+    this._instance = new ElementCtor({
+      propsData: this._props,
+      _customElement: this
+    })
+    this._instance.$mount(container)
+  }
+
+  VueElement.prototype._unmount = function () {
+    this._instance.$destroy()
+    this._instance = null
+    const root = this.shadowRoot
+    while (root.firstChild) {
+      root.removeChild(root.firstChild)
+    }
+  }
+
+  return VueElement
+}
@@ -16,6 +16,7 @@ import {
 } from 'web/util/index'
 
 import { patch } from './patch'
+import { defineCustomElement } from './custom-element'
 import platformDirectives from './directives/index'
 import platformComponents from './components/index'
 
@@ -42,6 +43,9 @@ Vue.prototype.$mount = function (
   return mountComponent(this, el, hydrating)
 }
 
+// wrap components as native custom elements
+Vue.defineCustomElement = defineCustomElement
+
 // devtools global hook
 /* istanbul ignore next */
 if (inBrowser) {
@@ -1,6 +1,12 @@
 /* @flow */
 
-import { inBrowser, isIE9, warn } from 'core/util/index'
+import {
+  inBrowser,
+  isIE9,
+  warn,
+  ErrorInfo,
+  invokeWithErrorHandling
+} from 'core/util/index'
 import { mergeVNodeHook } from 'core/vdom/helpers/index'
 import { activeInstance } from 'core/instance/lifecycle'
 
@@ -98,6 +104,11 @@ export function enter (vnode: VNodeWithData, toggleDisplay: ?() => void) {
   const enterCancelledHook = isAppear
     ? (appearCancelled || enterCancelled)
     : enterCancelled
+  // name the hooks actually called in the errors they report
+  const beforeEnterName = isAppear && beforeAppear ? 'beforeAppear' : 'beforeEnter'
+  const enterName = isAppear && typeof appear === 'function' ? 'appear' : 'enter'
+  const afterEnterName = isAppear && afterAppear ? 'afterAppear' : 'afterEnter'
+  const enterCancelledName = isAppear && appearCancelled ? 'appearCancelled' : 'enterCancelled'
 
   const explicitEnterDuration: any = toNumber(
     isObject(duration)
@@ -121,9 +132,9 @@ export function enter (vnode: VNodeWithData, toggleDisplay: ?() => void) {
       if (expectsCSS) {
         removeTransitionClass(el, startClass)
       }
-      enterCancelledHook && enterCancelledHook(el)
+      callTransitionHook(enterCancelledHook, enterCancelledName, [el], vnode)
     } else {
-      afterEnterHook && afterEnterHook(el)
+      callTransitionHook(afterEnterHook, afterEnterName, [el], vnode)
     }
     el._enterCb = null
   })
@@ -139,12 +150,12 @@ export function enter (vnode: VNodeWithData, toggleDisplay: ?() => void) {
       ) {
         pendingNode.elm._leaveCb()
       }
-      enterHook && enterHook(el, cb)
+      callTransitionHook(enterHook, enterName, [el, cb], vnode)
     })
   }
 
   // start enter transition
-  beforeEnterHook && beforeEnterHook(el)
+  callTransitionHook(beforeEnterHook, beforeEnterName, [el], vnode)
   if (expectsCSS) {
     addTransitionClass(el, startClass)
     addTransitionClass(el, activeClass)
@@ -165,7 +176,7 @@ export function enter (vnode: VNodeWithData, toggleDisplay: ?() => void) {
 
   if (vnode.data.show) {
     toggleDisplay && toggleDisplay()
-    enterHook && enterHook(el, cb)
+    callTransitionHook(enterHook, enterName, [el, cb], vnode)
   }
 
   if (!expectsCSS && !userWantsControl) {
@@ -231,15 +242,16 @@ export function leave (vnode: VNodeWithData, rm: Function) {
       if (expectsCSS) {
         removeTransitionClass(el, leaveClass)
       }
-      leaveCancelled && leaveCancelled(el)
+      callTransitionHook(leaveCancelled, 'leaveCancelled', [el], vnode)
     } else {
       rm()
-      afterLeave && afterLeave(el)
+      callTransitionHook(afterLeave, 'afterLeave', [el], vnode)
     }
     el._leaveCb = null
   })
 
   if (delayLeave) {
+    // set by <transition> for its modes, not a hook of the user
     delayLeave(performLeave)
   } else {
     performLeave()
@@ -254,7 +266,7 @@ export function leave (vnode: VNodeWithData, rm: Function) {
     if (!vnode.data.show && el.parentNode) {
       (el.parentNode._pending || (el.parentNode._pending = {}))[(vnode.key: any)] = vnode
     }
-    beforeLeave && beforeLeave(el)
+    callTransitionHook(beforeLeave, 'beforeLeave', [el], vnode)
     if (expectsCSS) {
       addTransitionClass(el, leaveClass)
       addTransitionClass(el, leaveActiveClass)
@@ -272,7 +284,7 @@ export function leave (vnode: VNodeWithData, rm: Function) {
         }
       })
     }
-    leave && leave(el, cb)
+    callTransitionHook(leave, 'leave', [el, cb], vnode)
     if (!expectsCSS && !userWantsControl) {
       cb()
     }
@@ -300,6 +312,32 @@ function isValidDuration (val) {
   return typeof val === 'number' && !isNaN(val)
 }
 
+/**
+ * Call a transition hook, reporting the errors it throws and the promises it
+ * rejects. The listeners of <transition> are invokers whose own error
+ * handling is bypassed, so that errors are reported as coming from the hook.
+ */
+function callTransitionHook (
+  hook: ?Function,
+  name: string,
+  args: Array<any>,
+  vnode: VNodeWithData
+) {
+  if (isUndef(hook)) {
+    return
+  }
+  const fns = isDef(hook.fns) ? hook.fns : hook
+  const info = ErrorInfo.TRANSITION_HOOK
+  if (Array.isArray(fns)) {
+    const cloned = fns.slice()
+    for (let i = 0; i < cloned.length; i++) {
+      invokeWithErrorHandling(cloned[i], null, args, vnode.context, info, name)
+    }
+  } else {
+    invokeWithErrorHandling(fns, null, args, vnode.context, info, name)
+  }
+}
+
 /**
  * Normalize a transition hook's argument length. The hook may be:
  * - a merged hook (invoker) with the original in .fns
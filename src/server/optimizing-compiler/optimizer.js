@@ -47,9 +47,11 @@ function walk (node: ASTNode, isRoot?: boolean) {
     node.ssrOptimizability = optimizability.CHILDREN
   }
   if (node.type === 1) {
+    // the children of a root <template> are the root nodes of a fragment
+    const isFragmentRoot = isRoot && node.tag === 'template'
     for (let i = 0, l = node.children.length; i < l; i++) {
       const child = node.children[i]
-      walk(child)
+      walk(child, isFragmentRoot)
       check(child)
     }
     if (node.ifConditions) {
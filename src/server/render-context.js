@@ -8,14 +8,19 @@ type RenderState = {
   total: number;
   children: Array<VNode>;
   endTag: string;
+  isRoot?: boolean;
 } | {
   type: 'Fragment';
   rendered: number;
   total: number;
   children: Array<VNode>;
+  isRoot?: boolean;
 } | {
   type: 'Component';
   prevActive: Component;
+} | {
+  type: 'Teleport';
+  prevWrite: (text: string, next: Function) => void;
 } | {
   type: 'ComponentWithCache';
   buffer: Array<string>;
@@ -79,7 +84,8 @@ export class RenderContext {
           const { children, total } = lastState
           const rendered = lastState.rendered++
           if (rendered < total) {
-            return this.renderNode(children[rendered], false, this)
+            // the root nodes of a root fragment are all marked as roots
+            return this.renderNode(children[rendered], lastState.isRoot === true, this)
           } else {
             this.renderStates.pop()
             if (lastState.type === 'Element') {
@@ -91,6 +97,10 @@ export class RenderContext {
           this.renderStates.pop()
           this.activeInstance = lastState.prevActive
           break
+        case 'Teleport':
+          this.renderStates.pop()
+          this.write = lastState.prevWrite
+          break
         case 'ComponentWithCache':
           this.renderStates.pop()
           const { buffer, bufferIndex, componentBuffer, key } = lastState
@@ -3,6 +3,7 @@
 import { escape } from 'web/server/util'
 import { SSR_ATTR } from 'shared/constants'
 import { RenderContext } from './render-context'
+import { createWriteFunction } from './write'
 import { resolveAsset } from 'core/util/options'
 import { generateComponentTrace } from 'core/util/debug'
 import { ssrCompileToFunctions } from 'web/server/compiler'
@@ -52,10 +53,12 @@ const normalizeRender = vm => {
 
 function waitForServerPrefetch (vm, resolve, reject) {
   let handlers = vm.$options.serverPrefetch
-  if (isDef(handlers)) {
-    if (!Array.isArray(handlers)) handlers = [handlers]
+  // async computed properties in the content of a <suspense>
+  const pending = vm._asyncComputedPromises
+  if (isDef(handlers) || isDef(pending)) {
+    if (!Array.isArray(handlers)) handlers = isDef(handlers) ? [handlers] : []
     try {
-      const promises = []
+      const promises = isDef(pending) ? pending.slice() : []
       for (let i = 0, j = handlers.length; i < j; i++) {
         const result = handlers[i].call(vm, vm)
         if (result && typeof result.then === 'function') {
@@ -82,9 +85,13 @@ function renderNode (node, isRoot, context) {
     if (isDef(node.asyncFactory)) {
       // async component
       renderAsyncComponent(node, isRoot, context)
+    } else if (isDef(node.teleport)) {
+      renderTeleport(node, context)
     } else {
       context.write(`<!--${node.text}-->`, context.next)
     }
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, isRoot, context)
   } else {
     context.write(
       node.raw ? node.text : escape(String(node.text)),
@@ -274,6 +281,35 @@ function renderAsyncComponent (node, isRoot, context) {
   }
 }
 
+// <teleport> content is rendered into context.teleports[to] instead of in
+// place, so that it can be injected into the target when rendering the page
+function renderTeleport (node, context) {
+  const { to, content } = node.teleport
+  const prevWrite = context.write
+  prevWrite(`<!---->`, () => {
+    if (isUndef(content)) {
+      return context.next()
+    }
+    if (typeof to !== 'string') {
+      warnOnce(`[vue-server-renderer] <teleport> target must be a selector string.`)
+      return context.next()
+    }
+    const userContext = context.userContext || {}
+    const teleports = userContext.teleports || (userContext.teleports = {})
+    teleports[to] = teleports[to] || ''
+    context.write = createWriteFunction(text => {
+      teleports[to] += text
+      return false
+    }, context.done)
+    context.renderStates.push({
+      type: 'Teleport',
+      prevWrite
+    })
+    // render as a root so that the client hydrates it
+    renderNode(content, true, context)
+  })
+}
+
 function renderStringNode (el, context) {
   const { write, next } = context
   if (isUndef(el.children) || el.children.length === 0) {
@@ -323,6 +359,21 @@ function renderElement (el, isRoot, context) {
   }
 }
 
+// the anchors are picked up again when hydrating. A root fragment has no
+// element to carry the hydration marker, so its root elements carry it.
+function renderFragment (node, isRoot, context) {
+  const children: Array<VNode> = node.children
+  context.renderStates.push({
+    type: 'Element',
+    children,
+    rendered: 0,
+    total: children.length,
+    endTag: '<!--]-->',
+    isRoot
+  })
+  context.write('<!--[-->', context.next)
+}
+
 function hasAncestorData (node: VNode) {
   const parentNode = node.parent
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode))
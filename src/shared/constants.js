@@ -1,5 +1,7 @@
 export const SSR_ATTR = 'data-server-rendered'
 
+export const MAX_UPDATE_COUNT = 100
+
 export const ASSET_TYPES = [
   'component',
   'directive',
@@ -18,5 +20,7 @@ export const LIFECYCLE_HOOKS = [
   'activated',
   'deactivated',
   'errorCaptured',
-  'serverPrefetch'
+  'serverPrefetch',
+  'renderTracked',
+  'renderTriggered'
 ]
@@ -1,3 +1,5 @@
+import path from 'path'
+import { spawnSync } from 'child_process'
 import Vue from '../../dist/vue.runtime.common.js'
 import renderToString from '../../packages/vue-server-renderer/basic'
 
@@ -67,4 +69,20 @@ describe('SSR: basicRenderer', () => {
       done()
     })
   })
+
+  it('should not keep the process alive', () => {
+    const root = path.resolve(__dirname, '../..')
+    const script = `
+      const Vue = require(${JSON.stringify(path.join(root, 'dist/vue.runtime.common.js'))})
+      const render = require(${JSON.stringify(path.join(root, 'packages/vue-server-renderer/basic'))})
+      render(new Vue({ render: h => h('div', 'hi') }), (err, html) => {
+        if (err) throw err
+        console.log(html)
+      })
+    `
+    const res = spawnSync(process.execPath, ['-e', script], { timeout: 10000 })
+    expect(res.error).toBeUndefined()
+    expect(res.status).toBe(0)
+    expect(res.stdout.toString()).toContain('<div data-server-rendered="true">hi</div>')
+  })
 })
@@ -1198,9 +1198,9 @@ describe('SSR: renderToString', () => {
 
   it('should catch template compilation error', done => {
     renderToString(new Vue({
-      template: `<div></div><div></div>`
+      template: `<div>{{ a b }}</div>`
     }), (err) => {
-      expect(err.toString()).toContain('Component template should contain exactly one root element')
+      expect(err.toString()).toContain('invalid expression')
       done()
     })
   })
@@ -1666,6 +1666,131 @@ describe('SSR: renderToString', () => {
       done()
     })
   })
+
+  it('renders teleport content into context.teleports', done => {
+    const context = {}
+    renderToString(new Vue({
+      data: { msg: 'hello' },
+      components: {
+        modal: {
+          props: ['title'],
+          template: '<div class="modal">{{ title }}</div>'
+        }
+      },
+      template: `
+        <div>
+          <teleport to="#modals"><modal :title="msg"></modal></teleport>
+          <teleport to="#modals"><span>second</span></teleport>
+          <teleport to="#modals" disabled><span>inline</span></teleport>
+        </div>
+      `
+    }), context, (err, result) => {
+      expect(err).toBeNull()
+      expect(result).toBe(
+        '<div data-server-rendered="true"><!----> <!----> <span>inline</span></div>'
+      )
+      expect(context.teleports['#modals']).toBe(
+        '<div data-server-rendered="true" class="modal">hello</div>' +
+        '<span data-server-rendered="true">second</span>'
+      )
+      done()
+    })
+  })
+
+  it('renders fragments between anchors', done => {
+    renderVmWithOptions({
+      data: { rows: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }] },
+      components: {
+        cells: {
+          props: ['row'],
+          template: '<td>{{ row.id }}</td><td>{{ row.name }}</td>'
+        }
+      },
+      template: `
+        <table><tr v-for="row in rows"><cells :row="row" title="row"></cells></tr></table>
+      `
+    }, result => {
+      expect(result).toContain(
+        '<table data-server-rendered="true">' +
+          '<tr><!--[--><td>1</td><td>a</td><!--]--></tr>' +
+          '<tr><!--[--><td>2</td><td>b</td><!--]--></tr>' +
+        '</table>'
+      )
+      done()
+    })
+  })
+
+  it('marks the root elements of a root fragment', done => {
+    renderVmWithOptions({
+      components: {
+        test: { template: '<i>c</i>' }
+      },
+      template: '<span>a</span><test></test>'
+    }, result => {
+      expect(result).toBe(
+        '<!--[--><span data-server-rendered="true">a</span>' +
+        '<i data-server-rendered="true">c</i><!--]-->'
+      )
+      done()
+    })
+  })
+
+  it('renders suspense content once its async dependencies are ready', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <suspense>
+            <async-child></async-child>
+            <template #fallback><span>loading</span></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        asyncChild: () => Promise.resolve({
+          data: () => ({ message: '' }),
+          serverPrefetch () {
+            return new Promise(resolve => {
+              setTimeout(() => {
+                this.message = 'vue.js'
+                resolve()
+              }, 1)
+            })
+          },
+          template: '<div>{{ message }}</div>'
+        })
+      }
+    }, result => {
+      expect(result).toContain('<div data-server-rendered="true"><div>vue.js</div></div>')
+      done()
+    })
+  })
+
+  it('waits for async computed properties in suspense content', done => {
+    const asyncChild = {
+      computed: {
+        message: {
+          async: true,
+          get: () => new Promise(resolve => setTimeout(() => resolve('vue.js'), 1)),
+          default: 'default'
+        }
+      },
+      template: '<span>{{ message }}</span>'
+    }
+    renderVmWithOptions({
+      template: `
+        <div>
+          <suspense><async-child></async-child></suspense>
+          <async-child></async-child>
+        </div>
+      `,
+      components: { asyncChild }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true"><span>vue.js</span> <span>default</span></div>'
+      )
+      done()
+    })
+  })
 })
 
 function renderVmWithOptions (options, cb) {
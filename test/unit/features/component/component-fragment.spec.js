@@ -0,0 +1,276 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  const Cells = {
+    props: ['row'],
+    template: `<td>{{ row.id }}</td><td>{{ row.name }}</td>`
+  }
+
+  function cells (vm) {
+    return Array.from(vm.$el.querySelectorAll('td')).map(td => td.textContent).join(',')
+  }
+
+  it('should render multiple root elements', () => {
+    const vm = new Vue({
+      components: { Cells },
+      template: '<table><tr><cells :row="{ id: 1, name: \'a\' }"></cells></tr></table>'
+    }).$mount()
+    expect(vm.$el.querySelector('tr').innerHTML).toBe(
+      '<!--[--><td>1</td><td>a</td><!--]-->'
+    )
+  })
+
+  it('should render multiple root nodes returned from render functions', () => {
+    const vm = new Vue({
+      components: {
+        items: {
+          render (h) {
+            return [h('li', 'a'), [h('li', 'b'), 'c']]
+          }
+        }
+      },
+      template: '<ul><items></items></ul>'
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><li>a</li><li>b</li>c<!--]-->')
+  })
+
+  it('should update children', done => {
+    const vm = new Vue({
+      data: { items: ['a', 'b'] },
+      components: {
+        items: {
+          props: ['items'],
+          render (h) {
+            return [
+              this.items.map(item => h('li', { key: item }, item)),
+              h('li', 'end')
+            ]
+          }
+        }
+      },
+      template: '<ul><li>start</li><items :items="items"></items><li>after</li></ul>'
+    }).$mount()
+    const b = vm.$el.querySelectorAll('li')[2]
+    vm.items = ['c', 'b']
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('startcbendafter')
+      expect(vm.$el.querySelectorAll('li')[2]).toBe(b)
+      vm.items.push('d')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('startcbdendafter')
+      vm.items = []
+    }).then(() => {
+      // a single root node is no longer a fragment
+      expect(vm.$el.innerHTML).toBe('<li>start</li><li>end</li><li>after</li>')
+    }).then(done)
+  })
+
+  it('should move fragments', done => {
+    const vm = new Vue({
+      data: {
+        rows: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 3, name: 'c' }]
+      },
+      components: { Cells },
+      template: `
+        <table><tr v-for="row in rows" :key="row.id"><cells :row="row"></cells></tr></table>
+      `
+    }).$mount()
+    const first = vm.$el.querySelector('td')
+    vm.rows.reverse()
+    waitForUpdate(() => {
+      expect(cells(vm)).toBe('3,c,2,b,1,a')
+      expect(vm.$el.querySelectorAll('td')[4]).toBe(first)
+    }).then(done)
+  })
+
+  it('should move keyed fragment components', done => {
+    const vm = new Vue({
+      data: { list: ['a', 'b', 'c'] },
+      components: {
+        pair: {
+          props: ['value'],
+          template: '<dt>{{ value }}</dt><dd>{{ value.toUpperCase() }}</dd>'
+        }
+      },
+      template: '<dl><pair v-for="item in list" :key="item" :value="item"></pair></dl>'
+    }).$mount()
+    const text = () => Array.from(vm.$el.children).map(el => el.textContent).join('')
+    expect(text()).toBe('aAbBcC')
+    vm.list = ['c', 'a', 'b']
+    waitForUpdate(() => {
+      expect(text()).toBe('cCaAbB')
+      vm.list = ['b', 'c', 'a']
+    }).then(() => {
+      expect(text()).toBe('bBcCaA')
+      vm.list = ['c', 'd']
+    }).then(() => {
+      expect(text()).toBe('cCdD')
+      expect(vm.$el.childNodes.length).toBe(8)
+    }).then(done)
+  })
+
+  it('should remove fragments and destroy their children', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      data: { ok: true },
+      components: {
+        test: {
+          components: {
+            child: { template: '<span>child</span>', destroyed }
+          },
+          template: '<span>a</span><child></child>'
+        }
+      },
+      template: '<div><test v-if="ok"></test><span>b</span></div>'
+    }).$mount()
+    expect(vm.$el.textContent).toBe('achildb')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----><span>b</span>')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should switch between a single root and a fragment', done => {
+    const vm = new Vue({
+      data: { multiple: false },
+      components: {
+        test: {
+          props: ['multiple'],
+          template: `
+            <span v-if="!multiple">a</span>
+            <template v-else><span>b</span><span>c</span></template>
+          `
+        }
+      },
+      template: '<div><test :multiple="multiple"></test><p></p></div>'
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span><p></p>')
+    vm.multiple = true
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><span>b</span><span>c</span><!--]--><p></p>')
+      expect(vm.$children[0].$el).toBe(vm.$el.firstChild)
+      vm.multiple = false
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>a</span><p></p>')
+    }).then(done)
+  })
+
+  it('should keep fragments alive', done => {
+    const vm = new Vue({
+      data: { view: 'view-a' },
+      components: {
+        'view-a': { template: '<span>a1</span><span>a2</span>' },
+        'view-b': { template: '<span>b</span>' }
+      },
+      template: '<div><keep-alive><component :is="view"></component></keep-alive></div>'
+    }).$mount()
+    const a1 = vm.$el.querySelector('span')
+    vm.view = 'view-b'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>b</span>')
+      vm.view = 'view-a'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><span>a1</span><span>a2</span><!--]-->')
+      expect(vm.$el.querySelector('span')).toBe(a1)
+    }).then(done)
+  })
+
+  it('should not inherit $attrs', () => {
+    const vm = new Vue({
+      components: { Cells },
+      template: '<tr><cells :row="{ id: 1, name: \'a\' }" class="row" title="row"></cells></tr>'
+    }).$mount()
+    expect(vm.$el.querySelector('[title]')).toBe(null)
+    expect(vm.$el.querySelector('.row')).toBe(null)
+    expect(
+      'Extraneous non-prop attributes (title) were passed to component but could ' +
+      'not be automatically inherited because it renders multiple root nodes.'
+    ).toHaveBeenWarned()
+    expect(
+      'Extraneous class bindings were passed to component but could not be ' +
+      'applied because it renders multiple root nodes.'
+    ).toHaveBeenWarned()
+  })
+
+  it('should warn about dropped style and .native listeners', () => {
+    new Vue({
+      methods: { onClick () {} },
+      components: {
+        test: {
+          inheritAttrs: false,
+          template: '<span>a</span><span>b</span>'
+        }
+      },
+      template: '<div><test style="color: red" :class="{ a: true }" @click.native="onClick"></test></div>'
+    }).$mount()
+    expect('Extraneous class and style bindings were passed to component').toHaveBeenWarned()
+    expect(
+      'Extraneous .native event listeners (click) were passed to component but ' +
+      'could not be attached because it renders multiple root nodes.'
+    ).toHaveBeenWarned()
+  })
+
+  it('should bind $attrs explicitly', () => {
+    const vm = new Vue({
+      components: {
+        test: {
+          template: '<span v-bind="$attrs">a</span><span>b</span>'
+        }
+      },
+      template: '<div><test title="a"></test></div>'
+    }).$mount()
+    expect(vm.$el.querySelector('span').getAttribute('title')).toBe('a')
+    expect('Extraneous non-prop attributes').not.toHaveBeenWarned()
+  })
+
+  it('should not warn with inheritAttrs: false', () => {
+    new Vue({
+      components: {
+        test: {
+          inheritAttrs: false,
+          template: '<span>a</span><span>b</span>'
+        }
+      },
+      template: '<div><test title="a"></test></div>'
+    }).$mount()
+    expect('Extraneous non-prop attributes').not.toHaveBeenWarned()
+  })
+
+  it('should hydrate server-rendered fragments', () => {
+    const el = document.createElement('div')
+    el.setAttribute('data-server-rendered', 'true')
+    el.innerHTML = '<!--[--><span>a</span><span>b</span><!--]--><p>c</p>'
+    const a = el.querySelector('span')
+    const vm = new Vue({
+      data: { msg: 'a' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<span>{{ msg }}</span><span>b</span>'
+        }
+      },
+      template: '<div><test :msg="msg"></test><p>c</p></div>'
+    }).$mount(el)
+    expect(vm.$el).toBe(el)
+    expect(el.querySelector('span')).toBe(a)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+  })
+
+  it('should hydrate a server-rendered root fragment', () => {
+    const container = document.createElement('div')
+    container.innerHTML =
+      '<!--[--><span data-server-rendered="true">a</span>' +
+      '<p data-server-rendered="true">b</p><!--]-->'
+    const span = container.querySelector('span')
+    const p = container.querySelector('p')
+    const vm = new Vue({
+      template: '<span>a</span><p>b</p>'
+    }).$mount(span)
+    expect(vm.$el).toBe(container.firstChild)
+    expect(container.querySelector('span')).toBe(span)
+    expect(container.querySelector('p')).toBe(p)
+    expect(container.innerHTML).toBe('<!--[--><span>a</span><p>b</p><!--]-->')
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+  })
+})
@@ -639,6 +639,232 @@ describe('Component keep-alive', () => {
     }).then(done)
   })
 
+  it('should emit cache and evict events', done => {
+    const onCache = jasmine.createSpy('cache')
+    const onEvict = jasmine.createSpy('evict')
+    const vm = new Vue({
+      template: `
+        <keep-alive max="1" @cache="onCache" @evict="onEvict">
+          <component :is="view" :key="view"></component>
+        </keep-alive>
+      `,
+      data: { view: 'one' },
+      methods: { onCache, onEvict },
+      components
+    }).$mount()
+    const oneInstance = vm.$children[0]
+    expect(onCache).toHaveBeenCalledWith('one', oneInstance)
+    expect(onEvict).not.toHaveBeenCalled()
+    vm.view = 'two'
+    waitForUpdate(() => {
+      expect(onCache).toHaveBeenCalledWith('two', vm.$children[0])
+      expect(onEvict).toHaveBeenCalledWith('one', oneInstance)
+      assertHookCalls(one, [1, 1, 1, 1, 1])
+    }).then(done)
+  })
+
+  it('should evict entries programmatically', done => {
+    const onEvict = jasmine.createSpy('evict')
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive ref="keepAlive" @evict="onEvict">
+            <component :is="view" :key="view"></component>
+          </keep-alive>
+        </div>
+      `,
+      data: { view: 'one' },
+      methods: { onEvict },
+      components
+    }).$mount()
+    const keepAlive = vm.$refs.keepAlive
+    vm.view = 'two'
+    waitForUpdate(() => {
+      expect(keepAlive.keys).toEqual(['one', 'two'])
+      keepAlive.evict('one')
+      expect(onEvict).toHaveBeenCalledWith('one', jasmine.any(Object))
+      expect(keepAlive.keys).toEqual(['two'])
+      assertHookCalls(one, [1, 1, 1, 1, 1])
+      // unknown keys are ignored
+      keepAlive.evict('three')
+      expect(onEvict.calls.count()).toBe(1)
+      vm.view = 'one'
+    }).then(() => {
+      // recreated
+      assertHookCalls(one, [2, 2, 2, 1, 1])
+      // evict everything, the active instance is kept until replaced
+      keepAlive.evict()
+      expect(onEvict.calls.count()).toBe(3)
+      expect(keepAlive.keys).toEqual([])
+      assertHookCalls(two, [1, 1, 1, 1, 1])
+      assertHookCalls(one, [2, 2, 2, 1, 1])
+    }).then(done)
+  })
+
+  it('maxAge', done => {
+    const onEvict = jasmine.createSpy('evict')
+    const vm = new Vue({
+      template: `
+        <keep-alive :max-age="maxAge" @evict="onEvict">
+          <component :is="view" :key="view"></component>
+        </keep-alive>
+      `,
+      data: { view: 'one', maxAge: 50 },
+      methods: { onEvict },
+      components
+    }).$mount()
+    waitForUpdate(() => {}).thenWaitFor(80).then(() => {
+      // the rendered entry never expires
+      expect(onEvict).not.toHaveBeenCalled()
+      vm.view = 'two'
+    }).thenWaitFor(20).then(() => {
+      expect(onEvict).not.toHaveBeenCalled()
+      vm.view = 'one'
+    }).then(() => {
+      // re-rendered before it expired
+      assertHookCalls(one, [1, 1, 2, 1, 0])
+    }).thenWaitFor(80).then(() => {
+      expect(onEvict).toHaveBeenCalledWith('two', jasmine.any(Object))
+      assertHookCalls(two, [1, 1, 1, 1, 1])
+      assertHookCalls(one, [1, 1, 2, 1, 0])
+      vm.maxAge = 0
+      vm.view = 'two'
+    }).thenWaitFor(80).then(() => {
+      // no expiration without maxAge
+      expect(onEvict.calls.count()).toBe(1)
+      vm.$destroy()
+    }).then(done)
+  })
+
+  it('should clear expiration timers of evicted entries', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive ref="keepAlive" :max-age="1000">
+            <component :is="view" :key="view"></component>
+          </keep-alive>
+        </div>
+      `,
+      data: { view: 'one' },
+      components
+    }).$mount()
+    const keepAlive = vm.$refs.keepAlive
+    vm.view = 'two'
+    waitForUpdate(() => {
+      const timer = keepAlive.cache.one.expirationTimer
+      expect(timer).toBeTruthy()
+      spyOn(window, 'clearTimeout').and.callThrough()
+      keepAlive.evict('one')
+      expect(window.clearTimeout).toHaveBeenCalledWith(timer)
+      vm.view = 'one'
+    }).then(() => {
+      const timer = keepAlive.cache.two.expirationTimer
+      expect(timer).toBeTruthy()
+      vm.$destroy()
+      expect(window.clearTimeout).toHaveBeenCalledWith(timer)
+    }).then(done)
+  })
+
+  it('cacheKey', done => {
+    const created = jasmine.createSpy('created')
+    const vm = new Vue({
+      template: `
+        <keep-alive :cache-key="vnode => 'record-' + id">
+          <record :id="id"></record>
+        </keep-alive>
+      `,
+      data: { id: 1 },
+      components: {
+        record: {
+          props: ['id'],
+          template: '<div>{{ id }}</div>',
+          created
+        }
+      }
+    }).$mount()
+    const first = vm.$el
+    expect(first.textContent).toBe('1')
+    vm.id = 2
+    waitForUpdate(() => {
+      // a new instance per key
+      expect(vm.$el.textContent).toBe('2')
+      expect(vm.$el).not.toBe(first)
+      expect(created.calls.count()).toBe(2)
+      vm.id = 1
+    }).then(() => {
+      // cached instance is reused
+      expect(vm.$el).toBe(first)
+      expect(created.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('max with cacheKey', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `
+        <keep-alive max="1" :cache-key="vnode => 'record-' + id">
+          <record :id="id"></record>
+        </keep-alive>
+      `,
+      data: { id: 1 },
+      components: {
+        record: {
+          props: ['id'],
+          template: '<div>{{ id }}</div>',
+          destroyed
+        }
+      }
+    }).$mount()
+    vm.id = 2
+    waitForUpdate(() => {
+      // the pruned entry has the same tag as the rendered one but is
+      // destroyed all the same
+      expect(destroyed.calls.count()).toBe(1)
+      vm.id = 3
+    }).then(() => {
+      expect(destroyed.calls.count()).toBe(2)
+      expect(vm.$el.textContent).toBe('3')
+    }).then(done)
+  })
+
+  it('include/exclude with cacheKey', done => {
+    const created = jasmine.createSpy('created')
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `
+        <keep-alive :cache-key="vnode => 'record-' + id" :exclude="exclude">
+          <record :id="id"></record>
+        </keep-alive>
+      `,
+      data: { id: 1, exclude: /record-2/ },
+      components: {
+        record: {
+          props: ['id'],
+          template: '<div>{{ id }}</div>',
+          created,
+          destroyed
+        }
+      }
+    }).$mount()
+    vm.id = 2
+    waitForUpdate(() => {
+      vm.id = 3
+    }).then(() => {
+      // record-2 was not cached
+      expect(destroyed.calls.count()).toBe(1)
+      vm.id = 2
+    }).then(() => {
+      expect(created.calls.count()).toBe(4)
+      // prune matching keys
+      vm.exclude = ['record-1', 'record-3']
+    }).then(() => {
+      expect(destroyed.calls.count()).toBe(3)
+      vm.id = 1
+    }).then(() => {
+      expect(created.calls.count()).toBe(5)
+    }).then(done)
+  })
+
   it('should warn unknown component inside', () => {
     new Vue({
       template: `<keep-alive><foo/></keep-alive>`
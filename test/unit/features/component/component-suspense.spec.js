@@ -0,0 +1,312 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  // async component whose resolution is triggered by the test
+  function deferred (options) {
+    let resolve
+    const factory = r => { resolve = () => r(options) }
+    return { factory, resolve: () => resolve() }
+  }
+
+  // wait for the async resolution and the resulting updates
+  function flush () {
+    return new Promise(resolve => setTimeout(resolve, 0))
+  }
+
+  it('should render the fallback until async components resolve', done => {
+    const mounted = jasmine.createSpy('mounted')
+    const async = deferred({
+      template: '<span>{{ msg }}</span>',
+      props: ['msg'],
+      mounted () {
+        mounted(document.body.contains(this.$el))
+      }
+    })
+    const vm = new Vue({
+      components: { test: async.factory },
+      template: `
+        <div>
+          <suspense>
+            <test msg="hi"></test>
+            <template #fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `
+    }).$mount()
+    document.body.appendChild(vm.$el)
+    expect(vm.$el.innerHTML).toBe('<p>loading</p>')
+    async.resolve()
+    flush().then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>hi</span>')
+      // mounted once it's actually inserted
+      expect(mounted.calls.count()).toBe(1)
+      expect(mounted).toHaveBeenCalledWith(true)
+      document.body.removeChild(vm.$el)
+      vm.$destroy()
+    }).then(done)
+  })
+
+  it('should keep the content up to date while pending', done => {
+    const a = deferred({ template: '<span>a</span>' })
+    const b = deferred({ props: ['msg'], template: '<span>{{ msg }}</span>' })
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      components: { viewA: a.factory, viewB: b.factory },
+      template: `
+        <div>
+          <suspense>
+            <view-a></view-a><view-b :msg="msg"></view-b>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `
+    }).$mount()
+    expect(vm.$el.textContent).toBe('loading')
+    a.resolve()
+    flush().then(() => {
+      expect(vm.$el.textContent).toBe('loading')
+      vm.msg = 'bar'
+      b.resolve()
+    }).then(flush).then(() => {
+      expect(vm.$el.textContent).toBe('abar')
+    }).then(done)
+  })
+
+  it('should wait for nested async components', done => {
+    const inner = deferred({ template: '<span>inner</span>' })
+    const outer = deferred({
+      components: { inner: inner.factory },
+      template: '<div><inner></inner></div>'
+    })
+    const vm = new Vue({
+      components: { outer: outer.factory },
+      template: `
+        <div>
+          <suspense>
+            <outer></outer>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `
+    }).$mount()
+    outer.resolve()
+    flush().then(() => {
+      expect(vm.$el.textContent).toBe('loading')
+      inner.resolve()
+    }).then(flush).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><span>inner</span></div>')
+    }).then(done)
+  })
+
+  it('should wait for async computed properties', done => {
+    let resolve
+    const vm = new Vue({
+      components: {
+        test: {
+          computed: {
+            msg: {
+              async: true,
+              get () {
+                return new Promise(r => { resolve = r })
+              }
+            }
+          },
+          template: '<span>{{ msg }}</span>'
+        }
+      },
+      template: `
+        <div>
+          <suspense>
+            <test></test>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `
+    }).$mount()
+    expect(vm.$el.textContent).toBe('loading')
+    resolve('done')
+    flush().then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>done</span>')
+    }).then(done)
+  })
+
+  it('should render the content directly without async dependencies', () => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @resolve="resolved = true">
+            <span>a</span>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      data: { resolved: false }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span>')
+    expect(vm.resolved).toBe(true)
+  })
+
+  it('should emit events', done => {
+    const events = []
+    const async = deferred({ template: '<span>a</span>' })
+    const vm = new Vue({
+      components: { test: async.factory },
+      methods: {
+        log (e) { events.push(e) }
+      },
+      template: `
+        <div>
+          <suspense
+            @pending="log('pending')"
+            @fallback="log('fallback')"
+            @resolve="log('resolve')">
+            <test></test>
+          </suspense>
+        </div>
+      `
+    }).$mount()
+    expect(events).toEqual(['pending', 'fallback'])
+    async.resolve()
+    flush().then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>a</span>')
+      expect(events).toEqual(['pending', 'fallback', 'resolve'])
+    }).then(done)
+  })
+
+  it('should only show the fallback after the timeout', done => {
+    const fallback = jasmine.createSpy('fallback')
+    const async = deferred({ template: '<span>a</span>' })
+    const vm = new Vue({
+      components: { test: async.factory },
+      methods: { fallback },
+      template: `
+        <div>
+          <suspense timeout="10" @fallback="fallback">
+            <test></test>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!---->')
+    setTimeout(() => {
+      expect(vm.$el.textContent).toBe('loading')
+      expect(fallback).toHaveBeenCalled()
+      async.resolve()
+      flush().then(() => {
+        expect(vm.$el.innerHTML).toBe('<span>a</span>')
+      }).then(done)
+    }, 20)
+  })
+
+  it('should not show the fallback if resolved before the timeout', done => {
+    const fallback = jasmine.createSpy('fallback')
+    const async = deferred({ template: '<span>a</span>' })
+    const vm = new Vue({
+      components: { test: async.factory },
+      methods: { fallback },
+      template: `
+        <div>
+          <suspense :timeout="10" @fallback="fallback">
+            <test></test>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `
+    }).$mount()
+    async.resolve()
+    setTimeout(() => {
+      expect(vm.$el.innerHTML).toBe('<span>a</span>')
+      expect(fallback).not.toHaveBeenCalled()
+      done()
+    }, 20)
+  })
+
+  it('should destroy the pending content', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      data: { ok: true },
+      components: {
+        test: {
+          computed: {
+            msg: {
+              async: true,
+              get: () => new Promise(() => {})
+            }
+          },
+          destroyed,
+          template: '<span>{{ msg }}</span>'
+        }
+      },
+      template: `
+        <div>
+          <suspense v-if="ok">
+            <test></test>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `
+    }).$mount()
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should stop waiting for the dependencies once destroyed', done => {
+    const async = deferred({ template: '<span>a</span>' })
+    const resolve = jasmine.createSpy('resolve')
+    const vm = new Vue({
+      data: { ok: true },
+      components: { test: async.factory },
+      methods: { resolve },
+      template: `
+        <div>
+          <suspense v-if="ok" @resolve="resolve">
+            <test></test>
+          </suspense>
+        </div>
+      `
+    }).$mount()
+    expect(async.factory.settledCallbacks.length).toBe(1)
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(async.factory.settledCallbacks.length).toBe(0)
+      async.resolve()
+    }).then(flush).then(() => {
+      expect(resolve).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should hydrate server-rendered content', () => {
+    const el = document.createElement('div')
+    el.setAttribute('data-server-rendered', 'true')
+    el.innerHTML = '<span>a</span>'
+    const span = el.firstChild
+    const vm = new Vue({
+      components: {
+        test: {
+          computed: {
+            msg: {
+              async: true,
+              get: () => new Promise(() => {}),
+              default: 'a'
+            }
+          },
+          template: '<span>{{ msg }}</span>'
+        }
+      },
+      template: `
+        <div>
+          <suspense>
+            <test></test>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `
+    }).$mount(el)
+    expect(vm.$el.firstChild).toBe(span)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+  })
+})
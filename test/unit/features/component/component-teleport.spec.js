@@ -0,0 +1,190 @@
+import Vue from 'vue'
+
+describe('Component teleport', () => {
+  let container, el, target
+  beforeEach(() => {
+    container = document.createElement('div')
+    el = document.createElement('div')
+    target = document.createElement('div')
+    target.id = 'teleport-target'
+    container.appendChild(el)
+    container.appendChild(target)
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(container)
+  })
+
+  it('should render content into the target', done => {
+    const vm = new Vue({
+      el,
+      data: { msg: 'hello' },
+      template: `
+        <div class="app">
+          <teleport to="#teleport-target"><span class="content">{{ msg }}</span></teleport>
+        </div>
+      `
+    })
+    expect(vm.$el.innerHTML).toBe('<!---->')
+    expect(target.innerHTML).toBe('<span class="content">hello</span>')
+    vm.msg = 'bye'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<span class="content">bye</span>')
+    }).then(done)
+  })
+
+  it('should accept an element as target', () => {
+    new Vue({
+      el,
+      data: { target },
+      template: '<div><teleport :to="target"><span>hello</span></teleport></div>'
+    })
+    expect(target.innerHTML).toBe('<span>hello</span>')
+  })
+
+  it('should keep the content in the logical component tree', done => {
+    const onClose = jasmine.createSpy('close')
+    const Modal = {
+      inject: ['theme'],
+      template: '<div class="modal" @click="$emit(\'close\')">{{ theme }}</div>'
+    }
+    const vm = new Vue({
+      el,
+      provide: { theme: 'dark' },
+      components: { Modal },
+      template: `
+        <div>
+          <teleport to="#teleport-target"><modal ref="modal" @close="onClose"></modal></teleport>
+        </div>
+      `,
+      methods: { onClose }
+    })
+    const modal = vm.$refs.modal
+    expect(modal.$parent).toBe(vm)
+    expect(modal.$root).toBe(vm)
+    expect(vm.$children).toEqual([modal])
+    expect(target.textContent).toBe('dark')
+    modal.$el.click()
+    expect(onClose).toHaveBeenCalled()
+    vm.$destroy()
+    expect(target.innerHTML).toBe('')
+    expect(modal._isDestroyed).toBe(true)
+    done()
+  })
+
+  it('should call mounted hooks once in the target', () => {
+    let inDocument
+    new Vue({
+      el,
+      components: {
+        test: {
+          template: '<div>test</div>',
+          mounted () {
+            inDocument = document.body.contains(this.$el) && this.$el.parentNode === target
+          }
+        }
+      },
+      template: '<div><teleport to="#teleport-target"><test></test></teleport></div>'
+    })
+    expect(inDocument).toBe(true)
+  })
+
+  it('should render inline when disabled', done => {
+    const vm = new Vue({
+      el,
+      data: { disabled: true },
+      template: `
+        <div><teleport to="#teleport-target" :disabled="disabled"><span>hello</span></teleport></div>
+      `
+    })
+    expect(vm.$el.innerHTML).toBe('<span>hello</span>')
+    expect(target.innerHTML).toBe('')
+    vm.disabled = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(target.innerHTML).toBe('<span>hello</span>')
+      vm.disabled = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>hello</span>')
+      expect(target.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should move the content when the target changes', done => {
+    const other = document.createElement('div')
+    const vm = new Vue({
+      el,
+      data: { to: target },
+      template: '<div><teleport :to="to"><span>hello</span></teleport></div>'
+    })
+    const span = target.firstChild
+    vm.to = other
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(other.firstChild).toBe(span)
+    }).then(done)
+  })
+
+  it('should support scoped slot syntax and v-if', done => {
+    const vm = new Vue({
+      el,
+      data: { show: true },
+      template: `
+        <div>
+          <teleport to="#teleport-target">
+            <template v-slot><span v-if="show">hello</span></template>
+          </teleport>
+        </div>
+      `
+    })
+    expect(target.innerHTML).toBe('<span>hello</span>')
+    vm.show = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<!---->')
+      vm.show = true
+    }).then(() => {
+      expect(target.innerHTML).toBe('<span>hello</span>')
+    }).then(done)
+  })
+
+  it('should remove the content when the teleport is removed', done => {
+    const vm = new Vue({
+      el,
+      data: { ok: true },
+      template: '<div><teleport v-if="ok" to="#teleport-target"><span>hello</span></teleport></div>'
+    })
+    expect(target.innerHTML).toBe('<span>hello</span>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should warn multiple root elements', () => {
+    new Vue({
+      el,
+      template: '<div><teleport to="#teleport-target"><span>a</span><span>b</span></teleport></div>'
+    })
+    expect('<teleport> can only be used on a single element.').toHaveBeenWarned()
+  })
+
+  it('should warn missing target', () => {
+    new Vue({
+      el,
+      template: '<div><teleport to="#missing"><span>a</span></teleport></div>'
+    })
+    expect('Failed to locate <teleport> target "#missing".').toHaveBeenWarned()
+  })
+
+  it('should hydrate server-rendered content in the target', () => {
+    target.innerHTML = '<span data-server-rendered="true">hello</span>'
+    const span = target.firstChild
+    new Vue({
+      el,
+      template: '<div><teleport to="#teleport-target"><span>hello</span></teleport></div>'
+    })
+    expect(target.firstChild).toBe(span)
+    expect(span.hasAttribute('data-server-rendered')).toBe(false)
+  })
+})
@@ -230,4 +230,164 @@ describe('Directive v-model component', () => {
 
     expect(vm.$el.innerHTML).toBe('<div>foo</div>');
   })
+
+  it('should support multiple named models', done => {
+    const vm = new Vue({
+      data: { title: 'a', content: 'b' },
+      template: `
+        <div>
+          <test ref="test" v-model:title="title" v-model:content="content"></test>
+        </div>
+      `,
+      components: {
+        test: {
+          props: ['title', 'content'],
+          template: '<p>{{ title }}-{{ content }}</p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('a-b')
+    vm.$refs.test.$emit('update:title', 'c')
+    vm.$refs.test.$emit('update:content', 'd')
+    expect(vm.title).toBe('c')
+    expect(vm.content).toBe('d')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('c-d')
+    }).then(done)
+  })
+
+  it('should support hyphenated and dynamic model arguments', () => {
+    const vm = new Vue({
+      data: { name: 'firstName', first: 'a', last: 'b' },
+      template: `
+        <div>
+          <test ref="a" v-model:first-name="first"></test>
+          <test ref="b" v-model:[name]="last"></test>
+        </div>
+      `,
+      components: {
+        test: {
+          props: ['firstName'],
+          template: '<p>{{ firstName }}</p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('a b')
+    vm.$refs.a.$emit('update:first-name', 'c')
+    expect(vm.first).toBe('c')
+    vm.$refs.a.$emit('update:firstName', 'd')
+    expect(vm.first).toBe('d')
+    vm.$refs.b.$emit('update:firstName', 'e')
+    expect(vm.last).toBe('e')
+  })
+
+  it('should apply built-in modifiers to named models', () => {
+    const vm = new Vue({
+      data: { count: 0, text: '' },
+      template: `<test ref="test" v-model:count.number="count" v-model:text.trim="text"></test>`,
+      components: {
+        test: {
+          props: ['count', 'text'],
+          template: '<p></p>'
+        }
+      }
+    }).$mount()
+    vm.$refs.test.$emit('update:count', '123')
+    vm.$refs.test.$emit('update:text', '  foo  ')
+    expect(vm.count).toBe(123)
+    expect(vm.text).toBe('foo')
+    expect(vm.$refs.test.$attrs).toEqual({})
+  })
+
+  it('should pass custom modifiers to the child', () => {
+    const vm = new Vue({
+      data: { msg: 'foo', title: 'bar' },
+      template: `
+        <test ref="test" v-model.capitalize.trim="msg" v-model:title.upper="title"></test>
+      `,
+      components: {
+        test: {
+          props: ['value', 'modelModifiers', 'title', 'titleModifiers'],
+          template: '<p></p>'
+        }
+      }
+    }).$mount()
+    const child = vm.$refs.test
+    expect(child.modelModifiers).toEqual({ capitalize: true })
+    expect(child.titleModifiers).toEqual({ upper: true })
+  })
+
+  it('should not pass modifiers to children that do not declare them', () => {
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: `<test ref="test" v-model.capitalize="msg"></test>`,
+      components: {
+        test: {
+          props: ['value'],
+          template: '<p></p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$refs.test.$attrs).toEqual({})
+    expect(vm.$el.hasAttribute('modelmodifiers')).toBe(false)
+  })
+
+  it('should not pass named model modifiers to children that do not declare them', () => {
+    const vm = new Vue({
+      data: { title: 'foo', name: 'title' },
+      template: `
+        <div>
+          <test ref="static" v-model:title.upper="title"></test>
+          <test ref="dynamic" v-model:[name].upper="title"></test>
+        </div>
+      `,
+      components: {
+        test: {
+          props: ['title'],
+          template: '<p></p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$refs.static.$attrs).toEqual({})
+    expect(vm.$refs.dynamic.$attrs).toEqual({})
+    expect(vm.$refs.static.title).toBe('foo')
+    expect(vm.$refs.dynamic.title).toBe('foo')
+    expect(vm.$el.innerHTML).not.toContain('odifiers')
+  })
+
+  it('should pass dynamic named model modifiers to the child', () => {
+    const vm = new Vue({
+      data: { title: 'foo', name: 'title' },
+      template: `<test ref="test" v-model:[name].upper="title"></test>`,
+      components: {
+        test: {
+          props: ['title', 'titleModifiers'],
+          template: '<p></p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$refs.test.titleModifiers).toEqual({ upper: true })
+  })
+
+  it('should warn .lazy on components', () => {
+    new Vue({
+      data: { msg: '' },
+      template: `<test v-model.lazy="msg"></test>`,
+      components: {
+        test: {
+          props: ['value'],
+          template: '<p></p>'
+        }
+      }
+    }).$mount()
+    expect('the .lazy modifier has no effect on components').toHaveBeenWarned()
+  })
+
+  it('should warn model arguments on native elements', () => {
+    new Vue({
+      data: { msg: '' },
+      template: `<input v-model:title="msg">`
+    }).$mount()
+    expect('v-model arguments are only supported on components').toHaveBeenWarned()
+  })
 })
@@ -11,7 +11,7 @@ describe('Error handling', () => {
     ['beforeCreate', 'beforeCreate hook'],
     ['created', 'created hook'],
     ['beforeMount', 'beforeMount hook'],
-    ['directive bind', 'directive foo bind hook'],
+    ['directive bind', 'directive hook "foo bind"'],
     ['event', 'event handler for "e"']
   ].forEach(([type, description]) => {
     it(`should recover from errors in ${type}`, done => {
@@ -51,7 +51,7 @@ describe('Error handling', () => {
   ;[
     ['beforeUpdate', 'beforeUpdate hook'],
     ['updated', 'updated hook'],
-    ['directive update', 'directive foo update hook']
+    ['directive update', 'directive hook "foo update"']
   ].forEach(([type, description]) => {
     it(`should recover from errors in ${type} hook`, done => {
       const vm = createTestInstance(components[type])
@@ -79,7 +79,7 @@ describe('Error handling', () => {
   ;[
     ['beforeDestroy', 'beforeDestroy hook'],
     ['destroyed', 'destroyed hook'],
-    ['directive unbind', 'directive foo unbind hook']
+    ['directive unbind', 'directive hook "foo unbind"']
   ].forEach(([type, description]) => {
     it(`should recover from errors in ${type} hook`, done => {
       const vm = createTestInstance(components[type])
@@ -181,6 +181,115 @@ describe('Error handling', () => {
     })
   })
 
+  it('should capture promise errors in nextTick callbacks', done => {
+    const err = new Error('nextTick async')
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = new Vue()
+    vm.$nextTick(() => Promise.reject(err))
+    // the rejection is handled after the callbacks of the tick are flushed
+    setTimeout(() => {
+      expect(spy).toHaveBeenCalledWith(err, vm, 'nextTick')
+      Vue.config.errorHandler = null
+      done()
+    })
+  })
+
+  it('should recover from errors in computed getters', done => {
+    const err = new Error('computed')
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = new Vue({
+      data: { n: 0 },
+      computed: {
+        a () {
+          if (this.n === 1) throw err
+          return this.n
+        }
+      },
+      template: '<div>{{ a }}</div>'
+    }).$mount()
+    vm.n = 1
+    waitForUpdate(() => {
+      // compared one by one, as comparing vm deeply would read the computed
+      const [error, instance, info, detail] = spy.calls.argsFor(0)
+      expect(error).toBe(err)
+      expect(instance).toBe(vm)
+      expect(info).toBe('getter for computed property')
+      expect(detail).toBe('a')
+      // no stale value
+      expect(vm.$el.textContent).toBe('')
+      vm.n = 2
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('2')
+      Vue.config.errorHandler = null
+    }).then(done)
+  })
+
+  it('should capture promise errors in directive hooks', done => {
+    const err = new Error('directive async')
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = new Vue({
+      directives: {
+        foo: {
+          bind: () => Promise.reject(err)
+        }
+      },
+      template: '<div v-foo></div>'
+    }).$mount()
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(err, vm, 'directive hook', 'foo bind')
+      Vue.config.errorHandler = null
+    }).then(done)
+  })
+
+  it('should capture errors in transition hooks', done => {
+    const err1 = new Error('beforeAppear')
+    const err2 = new Error('leave async')
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = new Vue({
+      data: { ok: true },
+      methods: {
+        beforeAppear () { throw err1 },
+        leave (el) { return Promise.reject(err2) }
+      },
+      template: `
+        <div>
+          <transition appear :css="false" @before-appear="beforeAppear" @leave="leave">
+            <div v-if="ok">foo</div>
+          </transition>
+        </div>
+      `
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith(err1, vm, 'transition hook', 'beforeAppear')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.textContent.trim()).toBe('')
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(err2, vm, 'transition hook', 'leave')
+      Vue.config.errorHandler = null
+    }).then(done)
+  })
+
+  it('should capture errors in async component factories', done => {
+    const err1 = new Error('factory')
+    const err2 = new Error('factory async')
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = new Vue({
+      template: '<div><sync-error></sync-error><async-error></async-error></div>',
+      components: {
+        syncError: () => { throw err1 },
+        asyncError: () => Promise.reject(err2)
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith(err1, vm, 'async component factory')
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(err2, vm, 'async component factory')
+      // reported once
+      expect(spy.calls.count()).toBe(2)
+      expect('Failed to resolve async component').not.toHaveBeenWarned()
+      Vue.config.errorHandler = null
+    }).then(done)
+  })
+
   it('should recover from errors thrown in errorHandler itself', () => {
     Vue.config.errorHandler = () => {
       throw new Error('error in errorHandler ¯\\_(ツ)_/¯')
@@ -0,0 +1,117 @@
+import Vue from 'vue'
+
+describe('Global API: untracked', () => {
+  it('should not collect dependencies', done => {
+    const vm = new Vue({
+      data: { a: 1, b: 2 },
+      computed: {
+        sum () {
+          return this.a + Vue.untracked(() => this.b)
+        }
+      }
+    })
+    const spy = jasmine.createSpy()
+    vm.$watch('sum', spy)
+    expect(vm.sum).toBe(3)
+    vm.b = 3
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      vm.a = 2
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(5, 3)
+    }).then(done)
+  })
+
+  it('should restore dependency collection after throwing', () => {
+    const obj = Vue.observable({ a: 1 })
+    const spy = jasmine.createSpy()
+    const vm = new Vue()
+    vm.$watch(() => {
+      try {
+        Vue.untracked(() => { throw new Error('untracked') })
+      } catch (e) {}
+      return obj.a
+    }, spy, { sync: true })
+    obj.a++
+    expect(spy).toHaveBeenCalledWith(2, 1)
+  })
+})
+
+describe('Global API: batch', () => {
+  it('should defer sync watchers until the function completes', () => {
+    const vm = new Vue({
+      data: { a: 1, b: 2 }
+    })
+    const spy = jasmine.createSpy()
+    vm.$watch(() => vm.a + vm.b, spy, { sync: true })
+    const result = Vue.batch(() => {
+      vm.a = 2
+      vm.b = 3
+      expect(spy).not.toHaveBeenCalled()
+      return 'done'
+    })
+    expect(result).toBe('done')
+    expect(spy.calls.count()).toBe(1)
+    expect(spy).toHaveBeenCalledWith(5, 3)
+  })
+
+  it('should keep computed properties up to date inside the batch', () => {
+    const vm = new Vue({
+      data: { a: 1 },
+      computed: {
+        double () { return this.a * 2 }
+      }
+    })
+    Vue.batch(() => {
+      vm.a = 2
+      expect(vm.double).toBe(4)
+    })
+  })
+
+  it('should update when config.async is false', () => {
+    Vue.config.async = false
+    const vm = new Vue({
+      data: { items: [] },
+      render (h) {
+        return h('div', this.items.join(','))
+      }
+    }).$mount()
+    const spy = spyOn(vm, '_render').and.callThrough()
+    Vue.batch(() => {
+      vm.items.push(1)
+      vm.items.push(2)
+      vm.items.push(3)
+    })
+    expect(spy.calls.count()).toBe(1)
+    expect(vm.$el.textContent).toBe('1,2,3')
+    Vue.config.async = true
+  })
+
+  it('should only notify when the outermost batch completes', () => {
+    const obj = Vue.observable({ a: 1 })
+    const spy = jasmine.createSpy()
+    new Vue().$watch(() => obj.a, spy, { sync: true })
+    Vue.batch(() => {
+      Vue.batch(() => {
+        obj.a++
+      })
+      expect(spy).not.toHaveBeenCalled()
+      obj.a++
+    })
+    expect(spy.calls.count()).toBe(1)
+    expect(spy).toHaveBeenCalledWith(3, 1)
+  })
+
+  it('should notify watchers even if the function throws', () => {
+    const obj = Vue.observable({ a: 1 })
+    const spy = jasmine.createSpy()
+    new Vue().$watch(() => obj.a, spy, { sync: true })
+    expect(() => {
+      Vue.batch(() => {
+        obj.a++
+        throw new Error('batch')
+      })
+    }).toThrowError('batch')
+    expect(spy).toHaveBeenCalledWith(2, 1)
+  })
+})
@@ -0,0 +1,217 @@
+import Vue from 'vue'
+
+describe('Global API: createApp', () => {
+  it('should mount the root component', () => {
+    const app = Vue.createApp({
+      data: () => ({ msg: 'hello' }),
+      template: '<div>{{ msg }}</div>'
+    })
+    const vm = app.mount()
+    expect(vm.$el.textContent).toBe('hello')
+    expect(vm.msg).toBe('hello')
+  })
+
+  it('should isolate component registrations', () => {
+    const app1 = Vue.createApp({ template: '<div><test></test></div>' })
+    const app2 = Vue.createApp({ template: '<div><test></test></div>' })
+    app1.component('test', { template: '<span>one</span>' })
+    app2.component('test', { template: '<span>two</span>' })
+    expect(app1.mount().$el.innerHTML).toBe('<span>one</span>')
+    expect(app2.mount().$el.innerHTML).toBe('<span>two</span>')
+    expect(Vue.options.components.test).toBeUndefined()
+    expect(app1.component('test').options.template).toBe('<span>one</span>')
+  })
+
+  it('should keep its registrations when global options change', () => {
+    const app = Vue.createApp({ template: '<div><test></test></div>' })
+    app.component('test', { template: '<span>app</span>' })
+    const options = Vue.options
+    Vue.mixin({})
+    try {
+      expect(app.mount().$el.innerHTML).toBe('<span>app</span>')
+    } finally {
+      Vue.options = options
+    }
+  })
+
+  it('should make registrations available to the whole tree', () => {
+    const app = Vue.createApp({
+      template: '<div><outer></outer></div>',
+      components: {
+        outer: {
+          template: '<p v-upper>{{ msg | wrap }}<inner></inner></p>',
+          data: () => ({ msg: 'a' })
+        }
+      }
+    })
+    app
+      .component('inner', { template: '<i>{{ msg | wrap }}</i>', data: () => ({ msg: 'b' }) })
+      .directive('upper', el => { el.className = 'upper' })
+      .filter('wrap', v => `[${v}]`)
+    const vm = app.mount()
+    expect(vm.$el.innerHTML).toBe('<p class="upper">[a]<i>[b]</i></p>')
+  })
+
+  it('should still resolve global registrations', () => {
+    Vue.component('global-test', { template: '<span>global</span>' })
+    const vm = Vue.createApp({ template: '<div><global-test></global-test></div>' }).mount()
+    expect(vm.$el.innerHTML).toBe('<span>global</span>')
+    delete Vue.options.components['global-test']
+  })
+
+  it('should isolate mixins', () => {
+    const created = jasmine.createSpy('created')
+    const app = Vue.createApp({
+      template: '<div><child></child></div>',
+      components: {
+        child: { template: '<span></span>' }
+      }
+    })
+    app.mixin({ created })
+    app.mount()
+    expect(created.calls.count()).toBe(2)
+    new Vue({ template: '<div></div>' }).$mount()
+    expect(created.calls.count()).toBe(2)
+  })
+
+  it('should install plugins on the app', () => {
+    const install = jasmine.createSpy('install').and.callFake((App, options) => {
+      App.component('plugin-test', { template: `<span>${options.msg}</span>` })
+      App.prototype.$plugin = 'plugin'
+    })
+    const plugin = { install }
+    const app = Vue.createApp({ template: '<div><plugin-test></plugin-test>{{ $plugin }}</div>' })
+    expect(app.use(plugin, { msg: 'foo' })).toBe(app)
+    // should not double apply
+    app.use(plugin)
+    const vm = app.mount()
+    expect(install.calls.count()).toBe(1)
+    expect(vm.$el.innerHTML).toBe('<span>foo</span>plugin')
+    expect(Vue.options.components['plugin-test']).toBeUndefined()
+    expect(Vue.prototype.$plugin).toBeUndefined()
+  })
+
+  it('should extend the components of its tree from the app', () => {
+    const app = Vue.createApp({
+      template: '<div><child ref="child"></child></div>',
+      components: {
+        child: {
+          template: '<p><grandchild></grandchild></p>',
+          components: {
+            grandchild: { template: '<app-test></app-test>' }
+          }
+        }
+      }
+    })
+    app.use(App => {
+      App.component('app-test', { template: '<span>app</span>' })
+    })
+    const vm = app.mount()
+    expect(vm.$el.innerHTML).toBe('<p><span>app</span></p>')
+    const child = vm.$refs.child
+    expect(child.$options._base).toBe(vm.constructor)
+    expect(child.constructor.super).toBe(vm.constructor)
+    expect(child.$children[0].constructor.super).toBe(vm.constructor)
+
+    // registrations of the plugin don't leak to Vue or to other apps
+    expect(Vue.options.components['app-test']).toBeUndefined()
+    Vue.createApp({ template: '<div><app-test></app-test></div>' }).mount()
+    expect('Unknown custom element: <app-test>').toHaveBeenWarned()
+  })
+
+  it('should give plugins the global API', () => {
+    const plugin = App => {
+      expect(App.version).toBe(Vue.version)
+      expect(App.nextTick).toBe(Vue.nextTick)
+      expect(App.config.optionMergeStrategies).toBe(Vue.config.optionMergeStrategies)
+      const store = {}
+      App.util.defineReactive(store, 'count', 0)
+      App.prototype.$store = store
+    }
+    Vue.use(plugin)
+    delete Vue.prototype.$store
+    const app = Vue.createApp({ template: '<div>{{ $store.count }}</div>' })
+    // installed on the app even though it was already installed globally
+    app.use(plugin)
+    const vm = app.mount()
+    expect(vm.$el.textContent).toBe('0')
+    expect(Vue.prototype.$store).toBeUndefined()
+
+    // the app's config doesn't change the global one
+    const errorHandler = Vue.config.errorHandler
+    app.config.errorHandler = () => {}
+    expect(Vue.config.errorHandler).toBe(errorHandler)
+  })
+
+  it('should expose global properties', () => {
+    const app = Vue.createApp({
+      template: '<div><child></child></div>',
+      components: {
+        child: { template: '<span>{{ $version }}</span>' }
+      }
+    })
+    app.config.globalProperties.$version = '1.0'
+    expect(app.mount().$el.innerHTML).toBe('<span>1.0</span>')
+    expect(Vue.prototype.$version).toBeUndefined()
+  })
+
+  it('should provide values to the whole tree', () => {
+    const key = 'store'
+    const app = Vue.createApp({
+      template: '<div><child></child></div>',
+      components: {
+        child: {
+          inject: ['store', 'missing'],
+          template: '<span>{{ store.name }}</span>'
+        }
+      }
+    })
+    app.provide(key, { name: 'foo' })
+    expect(app.mount().$el.innerHTML).toBe('<span>foo</span>')
+    expect('Injection "missing" not found').toHaveBeenWarned()
+  })
+
+  it('should use its own error and warn handlers', () => {
+    const errorHandler = jasmine.createSpy('errorHandler')
+    const warnHandler = jasmine.createSpy('warnHandler')
+    const app = Vue.createApp({
+      template: '<div><child></child></div>',
+      components: {
+        child: {
+          template: '<span>{{ missing }}</span>',
+          created () {
+            throw new Error('oops')
+          }
+        }
+      }
+    })
+    app.config.errorHandler = errorHandler
+    app.config.warnHandler = warnHandler
+    const vm = app.mount()
+    expect(errorHandler).toHaveBeenCalledWith(jasmine.any(Error), vm.$children[0], 'created hook')
+    expect(warnHandler).toHaveBeenCalled()
+    expect(warnHandler.calls.argsFor(0)[0]).toContain('Property or method "missing" is not defined')
+  })
+
+  it('should unmount', () => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const el = document.createElement('div')
+    const container = document.createElement('div')
+    container.appendChild(el)
+    const app = Vue.createApp({ template: '<p>app</p>', destroyed })
+    app.mount(el)
+    expect(container.innerHTML).toBe('<p>app</p>')
+    app.unmount()
+    expect(destroyed).toHaveBeenCalled()
+    expect(container.innerHTML).toBe('')
+  })
+
+  it('should warn mounting twice and unmounting when not mounted', () => {
+    const app = Vue.createApp({ template: '<div></div>' })
+    app.unmount()
+    expect('Cannot unmount an app that is not mounted.').toHaveBeenWarned()
+    const vm = app.mount()
+    expect(app.mount()).toBe(vm)
+    expect('App has already been mounted.').toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,145 @@
+import Vue from 'vue'
+
+describe('Global API: defineCustomElement', () => {
+  let uid = 0
+  function define (options) {
+    const Element = Vue.defineCustomElement(options)
+    const name = `vue-test-element-${uid++}`
+    customElements.define(name, Element)
+    return name
+  }
+
+  let container
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(container)
+  })
+
+  it('should mount the component in the shadow root', () => {
+    const name = define({
+      data: () => ({ msg: 'hello' }),
+      template: '<div>{{ msg }}</div>'
+    })
+    const el = document.createElement(name)
+    expect(el.shadowRoot.innerHTML).toBe('')
+    container.appendChild(el)
+    expect(el.shadowRoot.innerHTML).toBe('<div>hello</div>')
+  })
+
+  it('should map attributes and properties to props', done => {
+    const name = define({
+      props: {
+        msg: String,
+        count: Number,
+        visible: Boolean,
+        someValue: [String, Number]
+      },
+      template: '<div>{{ msg }} {{ count + 1 }} {{ visible }} {{ typeof someValue }}</div>'
+    })
+    container.innerHTML = `<${name} msg="hi" count="1" visible some-value="2"></${name}>`
+    const el = container.firstChild
+    const root = el.shadowRoot
+    expect(el.constructor.observedAttributes).toEqual(['msg', 'count', 'visible', 'some-value'])
+    expect(root.textContent).toBe('hi 2 true string')
+    expect(el.count).toBe(1)
+
+    el.setAttribute('count', '2')
+    el.removeAttribute('visible')
+    waitForUpdate(() => {
+      expect(root.textContent).toBe('hi 3 false string')
+      el.msg = 'bye'
+      el.someValue = 1
+    }).then(() => {
+      expect(el.msg).toBe('bye')
+      expect(root.textContent).toBe('bye 3 false number')
+    }).then(done)
+  })
+
+  it('should keep properties set before upgrade', () => {
+    const el = document.createElement('vue-test-element-upgrade')
+    el.msg = 'upgraded'
+    container.appendChild(el)
+    customElements.define(
+      'vue-test-element-upgrade',
+      Vue.defineCustomElement({ props: ['msg'], template: '<div>{{ msg }}</div>' })
+    )
+    expect(el.shadowRoot.textContent).toBe('upgraded')
+  })
+
+  it('should dispatch emitted events', () => {
+    const name = define({
+      template: '<div></div>',
+      mounted () {
+        this.$emit('created', 1, 2)
+        this.$emit('myEvent', 'foo')
+      }
+    })
+    const el = document.createElement(name)
+    const onCreated = jasmine.createSpy('created')
+    const onMyEvent = jasmine.createSpy('my-event')
+    el.addEventListener('created', onCreated)
+    el.addEventListener('my-event', onMyEvent)
+    container.appendChild(el)
+    expect(onCreated.calls.count()).toBe(1)
+    expect(onCreated.calls.argsFor(0)[0].detail).toEqual([1, 2])
+    expect(onMyEvent.calls.argsFor(0)[0].detail).toEqual(['foo'])
+  })
+
+  it('should render slots as native slots', () => {
+    const name = define({
+      template: '<div><slot>fallback</slot><slot name="footer"></slot></div>'
+    })
+    container.innerHTML = `<${name}><span>content</span></${name}>`
+    const el = container.firstChild
+    expect(el.shadowRoot.innerHTML).toBe(
+      '<div><slot>fallback</slot><slot name="footer"></slot></div>'
+    )
+  })
+
+  it('should inject styles in the shadow root', () => {
+    const name = define({
+      styles: ['div { color: red; }'],
+      template: '<div></div>'
+    })
+    const el = document.createElement(name)
+    container.appendChild(el)
+    expect(el.shadowRoot.innerHTML).toBe('<style>div { color: red; }</style><div></div>')
+  })
+
+  it('should accept a component constructor', () => {
+    const Comp = Vue.extend({ template: '<div>ctor</div>' })
+    const Element = Vue.defineCustomElement(Comp)
+    expect(Element.component).toBe(Comp)
+    customElements.define(`vue-test-element-${uid++}`, Element)
+    const el = new Element()
+    container.appendChild(el)
+    expect(el.shadowRoot.textContent).toBe('ctor')
+  })
+
+  it('should unmount when removed from the document', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const name = define({ template: '<div></div>', destroyed })
+    const el = document.createElement(name)
+    container.appendChild(el)
+    const vm = el._instance
+    // moving the element keeps the instance
+    const other = document.createElement('div')
+    container.appendChild(other)
+    other.appendChild(el)
+    waitForUpdate(() => {
+      expect(el._instance).toBe(vm)
+      other.removeChild(el)
+    }).then(() => {
+      expect(destroyed).toHaveBeenCalled()
+      expect(el._instance).toBe(null)
+      expect(el.shadowRoot.innerHTML).toBe('')
+      // mounted again when re-inserted
+      container.appendChild(el)
+      expect(el.shadowRoot.innerHTML).toBe('<div></div>')
+    }).then(done)
+  })
+})
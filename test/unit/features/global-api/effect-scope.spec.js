@@ -0,0 +1,197 @@
+import Vue from 'vue'
+
+describe('Global API: effectScope', () => {
+  let vm
+  beforeEach(() => {
+    vm = new Vue({
+      data: { a: 1, b: 2 },
+      computed: {
+        double () { return this.a * 2 }
+      }
+    })
+  })
+
+  it('should collect watchers created while running', () => {
+    const scope = Vue.effectScope()
+    const spy = jasmine.createSpy()
+    scope.run(() => {
+      vm.$watch('a', spy)
+      vm.$watch(() => vm.b, spy)
+    })
+    expect(scope.effects.length).toBe(2)
+    // watchers created outside of run() are not collected
+    vm.$watch('a', () => {})
+    expect(scope.effects.length).toBe(2)
+  })
+
+  it('should return the result of run()', () => {
+    const scope = Vue.effectScope()
+    expect(scope.run(() => 1)).toBe(1)
+    expect(Vue.getCurrentScope()).toBeUndefined()
+    scope.run(() => {
+      expect(Vue.getCurrentScope()).toBe(scope)
+    })
+  })
+
+  it('should stop all watchers', done => {
+    const scope = Vue.effectScope()
+    const spy = jasmine.createSpy()
+    scope.run(() => {
+      vm.$watch('a', spy)
+      vm.$watch('b', spy)
+    })
+    scope.stop()
+    expect(scope.active).toBe(false)
+    vm.a++
+    vm.b++
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should not collect watchers of components created in the scope', done => {
+    const scope = Vue.effectScope()
+    const spy = jasmine.createSpy()
+    const child = scope.run(() => new Vue({
+      data: { msg: 'foo' },
+      computed: {
+        upper () { return this.msg.toUpperCase() }
+      },
+      watch: { msg: spy },
+      created () {
+        this.$watch('msg', spy)
+      },
+      render (h) {
+        return h('div', this.upper)
+      }
+    }).$mount())
+    expect(scope.effects.length).toBe(0)
+    scope.stop()
+    child.msg = 'bar'
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(2)
+      expect(child.$el.textContent).toBe('BAR')
+    }).then(done)
+  })
+
+  it('should forget watchers once they are torn down', () => {
+    const scope = Vue.effectScope()
+    let unwatch, child
+    scope.run(() => {
+      unwatch = vm.$watch('a', () => {})
+      child = new Vue({ data: { b: 1 }})
+      child.$watch('b', () => {})
+    })
+    expect(scope.effects.length).toBe(2)
+    unwatch()
+    expect(scope.effects.length).toBe(1)
+    child.$destroy()
+    expect(scope.effects.length).toBe(0)
+  })
+
+  it('should stop the scope of a component when it is destroyed', () => {
+    const cleanup = jasmine.createSpy()
+    const vm = new Vue({
+      created () {
+        Vue.onScopeDispose(cleanup)
+      }
+    })
+    expect(cleanup).not.toHaveBeenCalled()
+    vm.$destroy()
+    expect(cleanup).toHaveBeenCalled()
+  })
+
+  it('should stop nested scopes', () => {
+    const scope = Vue.effectScope()
+    let nested, detached
+    scope.run(() => {
+      nested = Vue.effectScope()
+      detached = Vue.effectScope(true)
+    })
+    expect(scope.scopes.length).toBe(1)
+    scope.stop()
+    expect(nested.active).toBe(false)
+    expect(detached.active).toBe(true)
+  })
+
+  it('should remove a stopped nested scope from its parent', () => {
+    const scope = Vue.effectScope()
+    let first, second
+    scope.run(() => {
+      first = Vue.effectScope()
+      second = Vue.effectScope()
+    })
+    first.stop()
+    expect(scope.scopes).toEqual([second])
+    expect(second.index).toBe(0)
+  })
+
+  it('should pause and resume watchers', done => {
+    const scope = Vue.effectScope()
+    const spy = jasmine.createSpy()
+    let nestedSpy
+    scope.run(() => {
+      vm.$watch('a', spy)
+      Vue.effectScope().run(() => {
+        nestedSpy = jasmine.createSpy()
+        vm.$watch('a', nestedSpy)
+      })
+    })
+    scope.pause()
+    vm.a++
+    vm.a++
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      expect(nestedSpy).not.toHaveBeenCalled()
+      // computed values are still up to date while paused
+      expect(vm.double).toBe(6)
+      scope.resume()
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy).toHaveBeenCalledWith(3, 1)
+      expect(nestedSpy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should pause watchers created in a paused scope', done => {
+    const scope = Vue.effectScope()
+    const spy = jasmine.createSpy()
+    scope.pause()
+    scope.run(() => {
+      vm.$watch('a', spy)
+    })
+    vm.a++
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      scope.resume()
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(2, 1)
+    }).then(done)
+  })
+
+  it('should call cleanups registered with onScopeDispose', () => {
+    const scope = Vue.effectScope()
+    const spy = jasmine.createSpy()
+    scope.run(() => {
+      Vue.onScopeDispose(spy)
+    })
+    expect(spy).not.toHaveBeenCalled()
+    scope.stop()
+    expect(spy.calls.count()).toBe(1)
+    // stopping again is a no-op
+    scope.stop()
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('should warn when running an inactive scope', () => {
+    const scope = Vue.effectScope()
+    scope.stop()
+    expect(scope.run(() => 1)).toBeUndefined()
+    expect('cannot run an inactive effect scope.').toHaveBeenWarned()
+  })
+
+  it('should warn onScopeDispose without an active scope', () => {
+    Vue.onScopeDispose(() => {})
+    expect('onScopeDispose() is called when there is no active effect scope').toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,136 @@
+import Vue from 'vue'
+
+describe('Global API: inspectDeps', () => {
+  function findWatcher (graph, type, name) {
+    return graph.watchers.find(w => w.type === type && (name == null || w.name === name))
+  }
+
+  function paths (watcher) {
+    return watcher.deps.map(dep => `${dep.type} ${dep.path}`).sort()
+  }
+
+  it('should describe render, computed and user watchers', () => {
+    const vm = new Vue({
+      name: 'inspected',
+      data: {
+        msg: 'hi',
+        user: { name: 'Evan', tags: ['a'] },
+        unused: 1
+      },
+      computed: {
+        upper () { return this.msg.toUpperCase() }
+      },
+      watch: {
+        'user.name': () => {}
+      },
+      render (h) {
+        return h('div', [this.upper, this.user.tags.join(',')])
+      }
+    }).$mount()
+    const graph = Vue.inspectDeps(vm)
+    expect(graph.component).toBe('<Root>')
+
+    const computed = findWatcher(graph, 'computed', 'upper')
+    expect(paths(computed)).toEqual(['property msg'])
+
+    const watch = findWatcher(graph, 'watch', 'user.name')
+    expect(paths(watch)).toEqual([
+      'object user', 'property user', 'property user.name'
+    ])
+
+    const render = findWatcher(graph, 'render', 'render')
+    expect(paths(render)).toEqual([
+      'object user',
+      'object user.tags',
+      'property msg',
+      'property user',
+      'property user.tags'
+    ])
+  })
+
+  it('should be serializable', () => {
+    const vm = new Vue({
+      data: { list: [{ a: 1 }] },
+      render (h) {
+        return h('div', this.list[0].a)
+      }
+    }).$mount()
+    const graph = Vue.inspectDeps(vm)
+    expect(JSON.parse(JSON.stringify(graph))).toEqual(graph)
+    expect(paths(findWatcher(graph, 'render'))).toEqual([
+      'object list', 'object list[0]', 'property list', 'property list[0].a'
+    ])
+  })
+
+  it('should describe the contents of Maps and Sets', () => {
+    const vm = new Vue({
+      data: {
+        map: new Map([['a', { msg: 'foo' }]]),
+        set: new Set([{ count: 0 }])
+      },
+      render (h) {
+        const item = Array.from(this.set)[0]
+        return h('div', [this.map.get('a').msg, item.count])
+      }
+    }).$mount()
+    const graph = Vue.inspectDeps(vm)
+    expect(paths(findWatcher(graph, 'render'))).toEqual([
+      'object map',
+      'object map["a"]',
+      'object set',
+      'object set[0]',
+      'property map',
+      'property map["a"].msg',
+      'property set',
+      'property set[0].count'
+    ])
+  })
+
+  it('should handle circular references', () => {
+    const node = { name: 'root', children: [] }
+    node.children.push({ name: 'child', parent: node })
+    const vm = new Vue({
+      data: { node },
+      render (h) {
+        return h('div', this.node.children[0].parent.name)
+      }
+    }).$mount()
+    const graph = Vue.inspectDeps(vm)
+    expect(paths(findWatcher(graph, 'render'))).toEqual([
+      'object node',
+      'object node.children',
+      'object node.children[0]',
+      'property node',
+      'property node.children',
+      'property node.children[0].parent',
+      'property node.name'
+    ])
+  })
+
+  it('should describe props and effects', () => {
+    const store = Vue.observable({ count: 0 })
+    const vm = new Vue({
+      template: '<child :value="1"></child>',
+      components: {
+        child: {
+          props: ['value'],
+          created () {
+            this.$watchEffect(() => store.count)
+          },
+          render (h) {
+            return h('div', this.value)
+          }
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    const graph = Vue.inspectDeps(child)
+    expect(graph.component).toBe('<Child>')
+    expect(paths(findWatcher(graph, 'render'))).toEqual(['property value'])
+    // the store isn't part of the component's state
+    const deps = findWatcher(graph, 'effect').deps
+    expect(deps.length).toBe(1)
+    expect(deps[0].path).toBe(null)
+    expect(deps[0].key).toBe('count')
+  })
+})
@@ -27,4 +27,246 @@ describe('Global API: observable', () => {
       expect(app.$el.querySelector('span').textContent).toBe('1')
     }).then(done)
   })
+
+  it('should work with Map and Set', done => {
+    const state = Vue.observable({
+      map: new Map(),
+      set: new Set()
+    })
+    const map = Vue.observable(new Map([['a', 1]]))
+
+    const app = new Vue({
+      render (h) {
+        return h('div', [
+          h('span', [...state.map.keys()].join(',')),
+          h('span', state.set.size),
+          h('span', map.get('a'))
+        ])
+      }
+    }).$mount()
+
+    const spans = app.$el.querySelectorAll('span')
+    expect(spans[0].textContent).toBe('')
+    expect(spans[1].textContent).toBe('0')
+    expect(spans[2].textContent).toBe('1')
+    state.map.set('foo', 1)
+    state.set.add('bar')
+    map.set('a', 2)
+    waitForUpdate(() => {
+      expect(spans[0].textContent).toBe('foo')
+      expect(spans[1].textContent).toBe('1')
+      expect(spans[2].textContent).toBe('2')
+      state.map.delete('foo')
+      state.set.clear()
+    }).then(() => {
+      expect(spans[0].textContent).toBe('')
+      expect(spans[1].textContent).toBe('0')
+    }).then(done)
+  })
+
+  describe('shallowObservable', () => {
+    it('should only make the root level reactive', done => {
+      const state = Vue.shallowObservable({
+        nested: { count: 0 }
+      })
+      expect(state.__ob__).toBeDefined()
+      expect(state.nested.__ob__).toBeUndefined()
+
+      const app = new Vue({
+        render: h => h('div', state.nested.count)
+      }).$mount()
+
+      state.nested.count++
+      waitForUpdate(() => {
+        expect(app.$el.textContent).toBe('0')
+        state.nested = { count: 2 }
+      }).then(() => {
+        expect(app.$el.textContent).toBe('2')
+        expect(state.nested.__ob__).toBeUndefined()
+        Vue.set(state, 'added', { count: 3 })
+        expect(state.added.__ob__).toBeUndefined()
+      }).then(done)
+    })
+
+    it('should not observe inserted array items', () => {
+      const list = Vue.shallowObservable([])
+      list.push({ a: 1 })
+      expect(list[0].__ob__).toBeUndefined()
+    })
+  })
+
+  describe('readonly', () => {
+    it('should reflect changes of the original object', done => {
+      const state = Vue.observable({ count: 0, nested: { msg: 'foo' } })
+      const view = Vue.readonly(state)
+      expect(Vue.readonly(state)).toBe(view)
+      expect(Vue.readonly(view)).toBe(view)
+
+      const app = new Vue({
+        render: h => h('div', `${view.count} ${view.nested.msg}`)
+      }).$mount()
+
+      expect(app.$el.textContent).toBe('0 foo')
+      state.count++
+      state.nested.msg = 'bar'
+      waitForUpdate(() => {
+        expect(app.$el.textContent).toBe('1 bar')
+      }).then(done)
+    })
+
+    it('should warn on mutation', () => {
+      const state = Vue.observable({ count: 0, nested: { msg: 'foo' } })
+      const view = Vue.readonly(state)
+      view.count++
+      expect(`Set operation on key "count" failed: target is readonly.`).toHaveBeenWarned()
+      view.nested.msg = 'bar'
+      expect(`Set operation on key "msg" failed: target is readonly.`).toHaveBeenWarned()
+      Vue.set(view, 'added', 1)
+      expect(`Set operation on key "added" failed: target is readonly.`).toHaveBeenWarned()
+      Vue.delete(view, 'count')
+      expect(`Delete operation on key "count" failed: target is readonly.`).toHaveBeenWarned()
+      expect(state.count).toBe(0)
+      expect(state.nested.msg).toBe('foo')
+    })
+
+    it('should not be observed', () => {
+      const view = Vue.readonly({ a: 1 })
+      const vm = new Vue({ data: { view }})
+      expect(vm.view).toBe(view)
+      expect(view.__ob__).toBeUndefined()
+    })
+
+    it('should warn on deleting properties', () => {
+      const state = Vue.observable({ count: 0 })
+      const view = Vue.readonly(state)
+      expect(Reflect.deleteProperty(view, 'count')).toBe(false)
+      expect(`Delete operation on key "count" failed: target is readonly.`).toHaveBeenWarned()
+      expect(view.count).toBe(0)
+      expect(state.count).toBe(0)
+      expect(Object.getOwnPropertyDescriptor(view, 'count').configurable).toBe(false)
+    })
+
+    it('should warn on adding properties', () => {
+      const view = Vue.readonly({ count: 0 })
+      expect(Object.isExtensible(view)).toBe(false)
+      view.added = 1
+      expect(`Set operation on key "added" failed: target is readonly.`).toHaveBeenWarned()
+      expect('added' in view).toBe(false)
+      view.list = []
+      expect(`Set operation on key "list" failed: target is readonly.`).toHaveBeenWarned()
+      expect(view.list).toBeUndefined()
+    })
+
+    it('should return a new view of nested arrays when their length changes', () => {
+      const state = Vue.observable({ list: [1, 2] })
+      const view = Vue.readonly(state)
+      const list = view.list
+      expect(view.list).toBe(list)
+      state.list.push(3)
+      expect(view.list).not.toBe(list)
+      expect(view.list.length).toBe(3)
+      expect(view.list[2]).toBe(3)
+    })
+
+    it('should warn on top-level arrays', () => {
+      const list = [1, 2]
+      expect(Vue.readonly(list)).toBe(list)
+      expect('Arrays cannot be made readonly on their own').toHaveBeenWarned()
+    })
+
+    it('should support arrays', done => {
+      const state = Vue.observable({ list: [{ msg: 'foo' }] })
+      const view = Vue.readonly(state)
+      expect(Array.isArray(view.list)).toBe(true)
+      expect(view.list).not.toBe(state.list)
+      expect(Vue.toRaw(view.list)).toBe(state.list)
+      expect(view.list[0]).not.toBe(state.list[0])
+      expect(Vue.toRaw(view.list[0])).toBe(state.list[0])
+
+      view.list.push({ msg: 'bar' })
+      expect('Array push() operation failed: target is readonly.').toHaveBeenWarned()
+      expect(view.list.splice(0, 1)).toEqual([])
+      expect('Array splice() operation failed: target is readonly.').toHaveBeenWarned()
+      view.list[0] = 1
+      expect('Set operation on key "0" failed: target is readonly.').toHaveBeenWarned()
+      view.list[0].msg = 'bar'
+      expect('Set operation on key "msg" failed: target is readonly.').toHaveBeenWarned()
+      expect(state.list.length).toBe(1)
+      expect(state.list[0].msg).toBe('foo')
+
+      const app = new Vue({
+        render: h => h('div', view.list.map(item => item.msg).join())
+      }).$mount()
+      expect(app.$el.textContent).toBe('foo')
+      state.list.push({ msg: 'bar' })
+      waitForUpdate(() => {
+        expect(app.$el.textContent).toBe('foo,bar')
+        state.list.splice(0, 1, { msg: 'baz' })
+      }).then(() => {
+        expect(app.$el.textContent).toBe('baz,bar')
+      }).then(done)
+    })
+
+    it('should support Map and Set', done => {
+      const key = { id: 1 }
+      const state = Vue.observable({
+        map: new Map([[key, { msg: 'foo' }]]),
+        set: new Set([1])
+      })
+      const view = Vue.readonly(state)
+      expect(view.map instanceof Map).toBe(true)
+      expect(view.set instanceof Set).toBe(true)
+      expect(view.map).not.toBe(state.map)
+      expect(Vue.toRaw(view.map)).toBe(state.map)
+      expect(view.map.get(key)).toBe(Vue.readonly(state.map.get(key)))
+      expect(view.map.has(key)).toBe(true)
+      expect(Array.from(view.map.values())[0]).toBe(view.map.get(key))
+      const entries = []
+      view.map.forEach((value, k) => entries.push([k, value.msg]))
+      expect(entries).toEqual([[key, 'foo']])
+
+      view.map.set(key, 1)
+      expect('Set operation on key "[object Object]" failed: target is readonly.').toHaveBeenWarned()
+      view.set.add(2)
+      expect('Add operation on key "2" failed: target is readonly.').toHaveBeenWarned()
+      expect(view.set.delete(1)).toBe(false)
+      expect('Delete operation on key "1" failed: target is readonly.').toHaveBeenWarned()
+      view.map.clear()
+      expect('Clear operation failed: target is readonly.').toHaveBeenWarned()
+      expect(state.map.size).toBe(1)
+      expect(state.set.size).toBe(1)
+
+      const app = new Vue({
+        render: h => h('div', `${view.set.size} ${view.set.has(2)}`)
+      }).$mount()
+      expect(app.$el.textContent).toBe('1 false')
+      state.set.add(2)
+      waitForUpdate(() => {
+        expect(app.$el.textContent).toBe('2 true')
+      }).then(done)
+    })
+
+    it('should warn on values that cannot be made readonly', () => {
+      const date = new Date()
+      expect(Vue.readonly(date)).toBe(date)
+      expect('value cannot be made readonly').toHaveBeenWarned()
+    })
+  })
+
+  describe('markRaw / toRaw', () => {
+    it('markRaw should skip observation', () => {
+      const rows = Vue.markRaw([{ id: 1 }])
+      const state = Vue.observable({ rows })
+      expect(state.rows).toBe(rows)
+      expect(rows.__ob__).toBeUndefined()
+      expect(rows[0].__ob__).toBeUndefined()
+    })
+
+    it('toRaw should return the original object', () => {
+      const obj = Vue.observable({ a: 1 })
+      expect(Vue.toRaw(obj)).toBe(obj)
+      expect(Vue.toRaw(Vue.readonly(obj))).toBe(obj)
+      expect(Vue.toRaw(1)).toBe(1)
+    })
+  })
 })
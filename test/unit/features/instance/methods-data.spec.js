@@ -125,4 +125,117 @@ describe('Instance methods data', () => {
       expect('Watcher only accepts simple dot-delimited paths').toHaveBeenWarned()
     })
   })
+
+  describe('$watchEffect', () => {
+    let vm, spy
+    beforeEach(() => {
+      spy = jasmine.createSpy('effect')
+      vm = new Vue({
+        data: {
+          a: 1,
+          b: 2
+        }
+      })
+    })
+
+    it('should run immediately and re-run on change', done => {
+      vm.$watchEffect(() => {
+        spy(vm.a)
+      })
+      expect(spy.calls.count()).toBe(1)
+      expect(spy).toHaveBeenCalledWith(1)
+      vm.a = 2
+      vm.b = 3 // not a dependency
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(2)
+        expect(spy).toHaveBeenCalledWith(2)
+      }).then(done)
+    })
+
+    it('should track dynamic dependencies', done => {
+      vm.$watchEffect(() => {
+        spy(vm.a > 1 ? vm.b : 0)
+      })
+      vm.b = 3
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        vm.a = 2
+      }).then(() => {
+        expect(spy).toHaveBeenCalledWith(3)
+        vm.b = 4
+      }).then(() => {
+        expect(spy).toHaveBeenCalledWith(4)
+        expect(spy.calls.count()).toBe(3)
+      }).then(done)
+    })
+
+    it('should call cleanup before re-running', done => {
+      const cleanup = jasmine.createSpy('cleanup')
+      vm.$watchEffect(onCleanup => {
+        spy(vm.a)
+        onCleanup(() => {
+          cleanup(vm.b) // should not be tracked
+        })
+      })
+      expect(cleanup).not.toHaveBeenCalled()
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(cleanup.calls.count()).toBe(1)
+        expect(spy.calls.count()).toBe(2)
+        vm.b = 3
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('should call cleanup when stopped', done => {
+      const cleanup = jasmine.createSpy('cleanup')
+      const stop = vm.$watchEffect(onCleanup => {
+        spy(vm.a)
+        onCleanup(cleanup)
+      })
+      stop()
+      expect(cleanup.calls.count()).toBe(1)
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(cleanup.calls.count()).toBe(1)
+      }).then(done)
+    })
+
+    it('should call cleanup when the instance is destroyed', () => {
+      const cleanup = jasmine.createSpy('cleanup')
+      vm.$watchEffect(onCleanup => {
+        onCleanup(cleanup)
+      })
+      vm.$destroy()
+      expect(cleanup.calls.count()).toBe(1)
+    })
+
+    it('should support flush option', done => {
+      vm = new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}</div>'
+      }).$mount()
+      vm.$watchEffect(() => {
+        spy(vm.a, vm.$el.textContent)
+      }, { flush: 'post' })
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith(2, '2')
+      }).then(done)
+    })
+
+    it('should handle errors', done => {
+      const err = new Error('effect')
+      vm.$watchEffect(() => {
+        if (vm.a > 1) throw err
+      })
+      vm.a = 2
+      waitForUpdate(() => {
+        expect('Error in watchEffect callback').toHaveBeenWarned()
+        expect('Error: effect').toHaveBeenWarned()
+      }).then(done)
+    })
+  })
 })
@@ -228,4 +228,178 @@ describe('Options computed', () => {
     })
     expect(() => vm.a).toThrowError('rethrow')
   })
+
+  it('onTrack / onTrigger', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: { a: 1 },
+      computed: {
+        b: {
+          get () { return this.a + 1 },
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    const watcher = vm._computedWatchers.b
+    expect(onTrack).not.toHaveBeenCalled()
+    expect(vm.b).toBe(2)
+    expect(onTrack.calls.count()).toBe(1)
+    expect(onTrack.calls.argsFor(0)[0]).toEqual({
+      effect: watcher,
+      target: vm._data,
+      type: 'get',
+      key: 'a'
+    })
+    vm.a = 2
+    expect(onTrigger.calls.count()).toBe(1)
+    expect(onTrigger.calls.argsFor(0)[0].key).toBe('a')
+    expect(vm.b).toBe(3)
+  })
+
+  describe('async', () => {
+    let requests
+    function request (value) {
+      return new Promise((resolve, reject) => {
+        requests.push({ value, resolve, reject })
+      })
+    }
+    // let promise reactions settle
+    function flushPromises () {
+      return new Promise(resolve => setTimeout(resolve, 0))
+    }
+
+    beforeEach(() => {
+      requests = []
+    })
+
+    it('should resolve the returned promise', done => {
+      const vm = new Vue({
+        data: { id: 1 },
+        computed: {
+          user: {
+            async: true,
+            default: 'none',
+            get () { return request(this.id) }
+          }
+        },
+        render (h) {
+          return h('div', this.$asyncComputed.user.pending ? 'loading' : this.user)
+        }
+      }).$mount()
+      expect(vm.user).toBe('none')
+      expect(vm.$asyncComputed.user.pending).toBe(true)
+      expect(vm.$el.textContent).toBe('loading')
+      expect(requests.length).toBe(1)
+      requests[0].resolve('user 1')
+      flushPromises().then(() => {
+        expect(vm.user).toBe('user 1')
+        expect(vm.$asyncComputed.user.pending).toBe(false)
+        expect(vm.$el.textContent).toBe('user 1')
+        vm.id = 2
+      }).then(flushPromises).then(() => {
+        expect(requests.length).toBe(2)
+        expect(requests[1].value).toBe(2)
+        // the previous value is kept while pending
+        expect(vm.user).toBe('user 1')
+        expect(vm.$asyncComputed.user.pending).toBe(true)
+        requests[1].resolve('user 2')
+      }).then(flushPromises).then(() => {
+        expect(vm.user).toBe('user 2')
+        expect(vm.$el.textContent).toBe('user 2')
+      }).then(done)
+    })
+
+    it('should discard stale resolutions', done => {
+      const vm = new Vue({
+        data: { id: 1 },
+        computed: {
+          user: {
+            async: true,
+            get () { return request(this.id) }
+          }
+        }
+      })
+      vm.id = 2
+      waitForUpdate(() => {
+        expect(requests.length).toBe(2)
+        requests[1].resolve('user 2')
+        requests[0].resolve('user 1')
+      }).then(flushPromises).then(() => {
+        expect(vm.user).toBe('user 2')
+        expect(vm.$asyncComputed.user.pending).toBe(false)
+      }).then(done)
+    })
+
+    it('should expose errors', done => {
+      const vm = new Vue({
+        data: { id: 1 },
+        computed: {
+          user: {
+            async: true,
+            default: () => ({ name: 'none' }),
+            get () { return request(this.id) }
+          }
+        }
+      })
+      expect(vm.user).toEqual({ name: 'none' })
+      const err = new Error('async computed')
+      requests[0].reject(err)
+      flushPromises().then(() => {
+        expect('Error in async computed "user"').toHaveBeenWarned()
+        expect('Error: async computed').toHaveBeenWarned()
+        expect(vm.$asyncComputed.user.error).toBe(err)
+        expect(vm.$asyncComputed.user.pending).toBe(false)
+        expect(vm.user).toEqual({ name: 'none' })
+        vm.id = 2
+      }).then(flushPromises).then(() => {
+        requests[1].resolve({ name: 'user 2' })
+      }).then(flushPromises).then(() => {
+        expect(vm.$asyncComputed.user.error).toBe(null)
+        expect(vm.user).toEqual({ name: 'user 2' })
+      }).then(done)
+    })
+
+    it('should handle synchronous values and errors', done => {
+      const vm = new Vue({
+        data: { fail: false },
+        computed: {
+          double: {
+            async: true,
+            get () {
+              if (this.fail) throw new Error('sync')
+              return 2
+            }
+          }
+        }
+      })
+      expect(vm.double).toBe(2)
+      expect(vm.$asyncComputed.double.pending).toBe(false)
+      vm.fail = true
+      waitForUpdate(() => {
+        expect('Error in async computed "double"').toHaveBeenWarned()
+        expect('Error: sync').toHaveBeenWarned()
+        expect(vm.$asyncComputed.double.error.message).toBe('sync')
+        expect(vm.double).toBe(2)
+      }).then(done)
+    })
+
+    it('should ignore resolutions after being destroyed', done => {
+      const vm = new Vue({
+        computed: {
+          user: {
+            async: true,
+            default: 'none',
+            get () { return request() }
+          }
+        }
+      })
+      vm.$destroy()
+      requests[0].resolve('user')
+      flushPromises().then(() => {
+        expect(vm.user).toBe('none')
+      }).then(done)
+    })
+  })
 })
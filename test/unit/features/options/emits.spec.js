@@ -0,0 +1,130 @@
+import Vue from 'vue'
+
+describe('Options emits', () => {
+  it('should normalize array syntax', () => {
+    const Comp = Vue.extend({ emits: ['change', 'close'] })
+    expect(Comp.options.emits).toEqual({ change: null, close: null })
+  })
+
+  it('should merge with mixins', () => {
+    const validator = () => true
+    const Comp = Vue.extend({
+      mixins: [{ emits: ['close'] }],
+      emits: { change: validator }
+    })
+    expect(Object.keys(Comp.options.emits).sort()).toEqual(['change', 'close'])
+    expect(Comp.options.emits.change).toBe(validator)
+  })
+
+  it('should warn invalid option values', () => {
+    Vue.extend({ emits: 'change' })
+    expect(
+      'Invalid value for option "emits": expected an Array or an Object, but got String.'
+    ).toHaveBeenWarned()
+    Vue.extend({ emits: [1] })
+    expect('emits must be strings when using array syntax.').toHaveBeenWarned()
+    Vue.extend({ emits: { change: true }})
+    expect(
+      'Invalid validator for event "change" in option "emits": expected a Function or null, but got Boolean.'
+    ).toHaveBeenWarned()
+  })
+
+  it('should validate event payloads', () => {
+    const spy = jasmine.createSpy('change')
+    const vm = new Vue({
+      emits: {
+        change: value => typeof value === 'number'
+      }
+    })
+    vm.$on('change', spy)
+    vm.$emit('change', 1)
+    expect('event validation failed').not.toHaveBeenWarned()
+    vm.$emit('change', 'foo')
+    expect(
+      'Invalid event arguments: event validation failed for event "change".'
+    ).toHaveBeenWarned()
+    // handlers are still called
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should warn undeclared events', () => {
+    const vm = new Vue({ emits: ['change'] })
+    vm.$emit('change')
+    vm.$emit('hook:mounted')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+    vm.$emit('close')
+    expect(
+      'Component emitted event "close" but it is not declared in the emits option.'
+    ).toHaveBeenWarned()
+  })
+
+  it('should match camelCased and hyphenated events', () => {
+    const vm = new Vue({
+      emits: {
+        updateValue: value => typeof value === 'number',
+        'item-click': null
+      }
+    })
+    vm.$emit('update-value', 1)
+    vm.$emit('updateValue', 1)
+    vm.$emit('itemClick')
+    vm.$emit('item-click')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+    vm.$emit('update-value', 'foo')
+    expect(
+      'Invalid event arguments: event validation failed for event "update-value".'
+    ).toHaveBeenWarned()
+  })
+
+  it('should not warn without emits option', () => {
+    const vm = new Vue()
+    vm.$emit('close')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should exclude declared events from $listeners', done => {
+    const onChange = jasmine.createSpy('change')
+    const onClose = jasmine.createSpy('close')
+    const vm = new Vue({
+      data: { ok: true },
+      methods: { onChange, onClose },
+      template: `
+        <test @change="onChange" @close.once="onClose" v-on="ok ? { focus: onClose } : {}"></test>
+      `,
+      components: {
+        test: {
+          emits: ['change', 'close'],
+          template: '<input v-on="$listeners">'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(Object.keys(child.$listeners)).toEqual(['focus'])
+    child.$emit('change')
+    child.$emit('close')
+    expect(onChange).toHaveBeenCalled()
+    expect(onClose).toHaveBeenCalled()
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(Object.keys(child.$listeners)).toEqual([])
+    }).then(done)
+  })
+
+  it('should exclude events declared in another case from $listeners', () => {
+    const noop = () => {}
+    const vm = new Vue({
+      render (h) {
+        return h('test', {
+          on: { 'update-value': noop, itemClick: noop, focus: noop }
+        })
+      },
+      components: {
+        test: {
+          emits: ['updateValue', 'item-click'],
+          render: h => h('div')
+        }
+      }
+    }).$mount()
+    expect(Object.keys(vm.$children[0].$listeners)).toEqual(['focus'])
+  })
+})
@@ -1,4 +1,5 @@
 import Vue from 'vue'
+import { ErrorInfo } from 'core/util/error'
 
 describe('Options errorCaptured', () => {
   let globalSpy
@@ -279,8 +280,8 @@ describe('Options errorCaptured', () => {
     child.foo = 'bar'
 
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(err, child, 'callback for watcher "foo"')
-      expect(globalSpy).toHaveBeenCalledWith(err, child, 'callback for watcher "foo"')
+      expect(spy).toHaveBeenCalledWith(err, child, 'callback for watcher', 'foo')
+      expect(globalSpy).toHaveBeenCalledWith(err, child, 'callback for watcher', 'foo')
     }).then(done)
   })
 
@@ -316,8 +317,8 @@ describe('Options errorCaptured', () => {
 
     child.$nextTick(() => {
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(err, child, 'callback for watcher "foo" (Promise/async)')
-        expect(globalSpy).toHaveBeenCalledWith(err, child, 'callback for watcher "foo" (Promise/async)')
+        expect(spy).toHaveBeenCalledWith(err, child, 'callback for watcher', 'foo')
+        expect(globalSpy).toHaveBeenCalledWith(err, child, 'callback for watcher', 'foo')
       }).then(done)
     })
   })
@@ -354,8 +355,8 @@ describe('Options errorCaptured', () => {
     }).$mount()
 
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(err, child, 'callback for immediate watcher "foo"')
-      expect(globalSpy).toHaveBeenCalledWith(err, child, 'callback for immediate watcher "foo"')
+      expect(spy).toHaveBeenCalledWith(err, child, 'callback for immediate watcher', 'foo')
+      expect(globalSpy).toHaveBeenCalledWith(err, child, 'callback for immediate watcher', 'foo')
     }).then(done)
   })
 
@@ -391,8 +392,31 @@ describe('Options errorCaptured', () => {
     }).$mount()
 
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(err, child, 'callback for immediate watcher "foo" (Promise/async)')
-      expect(globalSpy).toHaveBeenCalledWith(err, child, 'callback for immediate watcher "foo" (Promise/async)')
+      expect(spy).toHaveBeenCalledWith(err, child, 'callback for immediate watcher', 'foo')
+      expect(globalSpy).toHaveBeenCalledWith(err, child, 'callback for immediate watcher', 'foo')
     }).then(done)
   })
+
+  it('should pass the info unchanged and what failed as the detail', () => {
+    const spy = jasmine.createSpy()
+    const err = new Error('event handler error')
+
+    let child
+    const Child = {
+      created () {
+        child = this
+      },
+      render () {}
+    }
+
+    new Vue({
+      errorCaptured: spy,
+      render: h => h(Child)
+    }).$mount()
+
+    child.$on('my-event', () => { throw err })
+    child.$emit('my-event')
+    expect(spy).toHaveBeenCalledWith(err, child, ErrorInfo.EVENT_HANDLER, 'my-event')
+    expect(globalSpy).toHaveBeenCalledWith(err, child, ErrorInfo.EVENT_HANDLER, 'my-event')
+  })
 })
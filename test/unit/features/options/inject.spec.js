@@ -673,4 +673,154 @@ describe('Options provide/inject', () => {
     })
     expect(`Injection "constructor" not found`).toHaveBeenWarned()
   })
+
+  describe('reactive injections', () => {
+    it('should stay linked to provided primitives and computed values', done => {
+      const vm = new Vue({
+        data: { color: 'red', size: 1 },
+        computed: {
+          double () {
+            return this.size * 2
+          }
+        },
+        provide () {
+          return { color: this.color, double: this.double }
+        },
+        template: '<child></child>',
+        components: {
+          child: {
+            inject: {
+              color: { from: 'color', reactive: true },
+              double: { reactive: true },
+              staticColor: { from: 'color' }
+            },
+            template: '<span>{{ color }} {{ double }} {{ staticColor }}</span>'
+          }
+        }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('red 2 red')
+      vm.color = 'blue'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('blue 2 red')
+        vm.size = 2
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('blue 4 red')
+      }).then(done)
+    })
+
+    it('should not be mutated by injectors', () => {
+      const vm = new Vue({
+        provide: { foo: 1 },
+        render: h => h('child'),
+        components: {
+          child: {
+            inject: { foo: { reactive: true } },
+            render: h => h('div')
+          }
+        }
+      }).$mount()
+      const child = vm.$children[0]
+      child.foo = 2
+      expect('Avoid mutating an injected value directly').toHaveBeenWarned()
+      expect(child.foo).toBe(1)
+    })
+
+    it('should fall back to default values', () => {
+      const child = new Vue({
+        parent: new Vue(),
+        inject: { foo: { reactive: true, default: 'foo' } }
+      })
+      expect(child.foo).toBe('foo')
+    })
+
+    it('should only make provided values reactive once linked', () => {
+      let calls = 0
+      const provide = { foo: 1 }
+      const vm = new Vue({
+        data: { foo: 1 },
+        provide () {
+          calls++
+          return { foo: this.foo }
+        }
+      })
+      const child = new Vue({
+        parent: vm,
+        provide,
+        inject: ['foo']
+      })
+      expect(calls).toBe(1)
+      expect(vm._watchers.length).toBe(0)
+      new Vue({
+        parent: child,
+        inject: { foo: { reactive: true } }
+      })
+      expect(vm._watchers.length).toBe(0)
+      // the provide object of the options is left untouched
+      expect(child._provided).not.toBe(provide)
+      expect(Object.getOwnPropertyDescriptor(provide, 'foo').get).toBeUndefined()
+    })
+
+    it('should not provide non-enumerable keys', () => {
+      const values = { foo: 1 }
+      Object.defineProperty(values, 'bar', { value: 2, enumerable: false })
+      const parent = new Vue({
+        data: { values },
+        provide () {
+          return this.values
+        }
+      })
+      parent.$provide('baz', 3)
+      expect(Object.keys(parent._provided).sort()).toEqual(['baz', 'foo'])
+      expect('__ob__' in parent._provided).toBe(false)
+      expect('bar' in parent._provided).toBe(false)
+    })
+  })
+
+  describe('$provide', () => {
+    it('should update provided values', done => {
+      const vm = new Vue({
+        provide: { theme: 'light' },
+        template: '<child></child>',
+        components: {
+          child: {
+            inject: { theme: { reactive: true }, staticTheme: { from: 'theme' }},
+            template: '<span>{{ theme }} {{ staticTheme }}</span>'
+          }
+        }
+      }).$mount()
+      expect(vm.$provide('theme', 'dark')).toBe(vm)
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('dark light')
+      }).then(done)
+    })
+
+    it('should provide new keys to injectors created afterwards', () => {
+      const key = typeof Symbol === 'function' ? Symbol('form') : 'form'
+      const parent = new Vue()
+      parent.$provide(key, 'form')
+      const child = new Vue({
+        parent,
+        inject: { form: { from: key, reactive: true }}
+      })
+      expect(child.form).toBe('form')
+    })
+  })
+
+  it('should handle errors in provide()', () => {
+    const err = new Error('provide')
+    const spy = jasmine.createSpy('errorCaptured').and.returnValue(false)
+    new Vue({
+      errorCaptured: spy,
+      render: h => h('child'),
+      components: {
+        child: {
+          provide () {
+            throw err
+          },
+          render: h => h('div')
+        }
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith(err, jasmine.any(Object), 'provide()')
+  })
 })
@@ -335,4 +335,54 @@ describe('Options lifecycle hooks', () => {
     vm.$destroy()
     expect(destroyed).toHaveBeenCalled()
   })
+
+  describe('renderTracked', () => {
+    it('should be called for each dependency tracked during render', () => {
+      const events = []
+      const vm = new Vue({
+        data: { a: 1, b: 2 },
+        render (h) {
+          return h('div', this.a + this.b)
+        },
+        renderTracked (e) {
+          events.push(e)
+        }
+      }).$mount()
+      expect(events.length).toBe(2)
+      expect(events[0].effect).toBe(vm._watcher)
+      expect(events[0].target).toBe(vm._data)
+      expect(events[0].type).toBe('get')
+      expect(events.map(e => e.key)).toEqual(['a', 'b'])
+    })
+  })
+
+  describe('renderTriggered', () => {
+    it('should be called with the mutation that triggered a re-render', done => {
+      const events = []
+      const vm = new Vue({
+        data: { a: 1, list: [1] },
+        render (h) {
+          return h('div', [this.a, this.list.length])
+        },
+        renderTriggered (e) {
+          events.push(e)
+        }
+      }).$mount()
+      vm.a = 2
+      expect(events.length).toBe(1)
+      expect(events[0].effect).toBe(vm._watcher)
+      expect(events[0].target).toBe(vm._data)
+      expect(events[0].type).toBe('set')
+      expect(events[0].key).toBe('a')
+      expect(events[0].newValue).toBe(2)
+      expect(events[0].oldValue).toBe(1)
+      vm.list.push(2)
+      expect(events[1].type).toBe('array-mutation')
+      expect(events[1].target).toBe(vm.list)
+      expect(events[1].key).toBe('push')
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('22')
+      }).then(done)
+    })
+  })
 })
@@ -118,6 +118,93 @@ describe('Options props', () => {
     expect(vm.a).toBe(func)
   })
 
+  it('default value factory receives raw props and injections', () => {
+    const size = {
+      type: String,
+      default (props, injections) {
+        if (injections.formConfig) {
+          return injections.formConfig.size
+        }
+        return props.variant === 'compact' ? 'small' : 'medium'
+      }
+    }
+    const vm = new Vue({
+      template: `<div><test variant="compact"></test><form-item></form-item></div>`,
+      components: {
+        test: {
+          // declared before the prop it depends on
+          props: { size, variant: String },
+          template: '<span>{{ size }}</span>'
+        },
+        formItem: {
+          provide: { formConfig: { size: 'large' }},
+          render: h => h('test-injected'),
+          components: {
+            testInjected: {
+              inject: ['formConfig'],
+              props: { size },
+              template: '<span>{{ size }}</span>'
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('smalllarge')
+  })
+
+  it('default value factory receives a readonly copy of the raw props', () => {
+    let rawProps
+    const vm = new Vue({
+      template: `<test variant="compact"></test>`,
+      components: {
+        test: {
+          props: {
+            size: {
+              type: String,
+              default (props) {
+                rawProps = props
+                return 'small'
+              }
+            },
+            variant: String
+          },
+          template: '<span>{{ size }} {{ variant }}</span>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('small compact')
+    expect(rawProps).toEqual({ variant: 'compact' })
+    expect(Object.isFrozen(rawProps)).toBe(true)
+    expect(vm.$children[0].$options.propsData).not.toBe(rawProps)
+  })
+
+  it('default value factory runs again when the raw props change', done => {
+    const vm = new Vue({
+      data: { variant: 'compact' },
+      template: `<test :variant="variant"></test>`,
+      components: {
+        test: {
+          props: {
+            size: {
+              type: String,
+              default: props => props.variant === 'compact' ? 'small' : 'medium'
+            },
+            variant: String
+          },
+          template: '<span>{{ size }}</span>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('small')
+    vm.variant = 'wide'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('medium')
+      vm.variant = 'compact'
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('small')
+    }).then(done)
+  })
+
   it('warn object/array default values', () => {
     new Vue({
       props: {
@@ -333,6 +420,101 @@ describe('Options props', () => {
     })
   })
 
+  describe('schema', () => {
+    function makeInstance (value, prop) {
+      return new Vue({
+        template: '<test :test="val"></test>',
+        data: {
+          val: value
+        },
+        components: {
+          test: {
+            template: '<div></div>',
+            props: {
+              test: prop
+            }
+          }
+        }
+      }).$mount()
+    }
+
+    const user = {
+      type: Object,
+      shape: {
+        name: { type: String, required: true },
+        address: {
+          type: Object,
+          shape: {
+            zip: String
+          }
+        },
+        tags: { type: Array, items: String }
+      }
+    }
+
+    it('shape', () => {
+      makeInstance({ name: 'foo', address: { zip: '123' }, tags: ['a'] }, user)
+      makeInstance({ name: 'foo' }, user)
+      expect(console.error.calls.count()).toBe(0)
+      makeInstance({ name: 'foo', address: { zip: 123 }}, user)
+      expect('Invalid prop "test.address.zip": expected String, got Number.').toHaveBeenWarned()
+      makeInstance({ address: 'foo' }, user)
+      expect('Missing required prop: "test.name"').toHaveBeenWarned()
+      expect('Invalid prop "test.address": expected Object, got String.').toHaveBeenWarned()
+    })
+
+    it('items', () => {
+      makeInstance({ name: 'foo', tags: ['a', 1, 'c', false] }, user)
+      expect('Invalid prop "test.tags[1]": expected String, got Number.').toHaveBeenWarned()
+      expect('Invalid prop "test.tags[3]": expected String, got Boolean.').toHaveBeenWarned()
+      makeInstance([{ id: 1 }, { id: '2' }], {
+        type: Array,
+        items: { type: Object, shape: { id: Number }}
+      })
+      expect('Invalid prop "test[1].id": expected Number, got String.').toHaveBeenWarned()
+    })
+
+    it('enum', () => {
+      const prop = { type: String, enum: ['small', 'large'] }
+      makeInstance('small', prop)
+      expect(console.error.calls.count()).toBe(0)
+      makeInstance('medium', prop)
+      expect(
+        'Invalid prop "test": expected one of "small", "large", got "medium".'
+      ).toHaveBeenWarned()
+      makeInstance({ size: 3 }, { shape: { size: { enum: [1, 2] }}})
+      expect('Invalid prop "test.size": expected one of 1, 2, got 3.').toHaveBeenWarned()
+    })
+
+    it('oneOf', () => {
+      const prop = {
+        oneOf: [String, { type: Object, shape: { text: { type: String, required: true }}}]
+      }
+      makeInstance('foo', prop)
+      makeInstance({ text: 'foo' }, prop)
+      expect(console.error.calls.count()).toBe(0)
+      makeInstance({ text: 1 }, prop)
+      expect(
+        'Invalid prop "test": value does not match any of the allowed schemas, got Object.'
+      ).toHaveBeenWarned()
+    })
+
+    it('nullable', () => {
+      makeInstance(null, { type: String, required: true, nullable: true })
+      makeInstance({ zip: null }, { shape: { zip: { type: String, required: true, nullable: true }}})
+      expect(console.error.calls.count()).toBe(0)
+      makeInstance({ zip: null }, { shape: { zip: { type: String, required: true }}})
+      expect('Invalid prop "test.zip": expected String, got Null.').toHaveBeenWarned()
+      makeInstance({ zip: null }, { shape: { zip: { required: true }}})
+      expect('Invalid prop "test.zip": expected a value, got Null.').toHaveBeenWarned()
+    })
+
+    it('nested validator', () => {
+      makeInstance({ age: -1 }, { shape: { age: { type: Number, validator: v => v >= 0 }}})
+      expect('custom validator check failed for prop "test.age".').toHaveBeenWarned()
+    })
+  })
+
   it('should work with v-bind', () => {
     const vm = new Vue({
       template: `<test v-bind="{ a: 1, b: 2 }"></test>`,
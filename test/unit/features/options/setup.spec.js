@@ -0,0 +1,238 @@
+import Vue from 'vue'
+
+describe('Options setup', () => {
+  it('should expose returned bindings to the template', done => {
+    const vm = new Vue({
+      setup () {
+        const state = Vue.observable({ count: 0 })
+        return {
+          state,
+          msg: 'count',
+          increment () {
+            state.count++
+          }
+        }
+      },
+      template: '<div>{{ msg }}: {{ state.count }}</div>'
+    }).$mount()
+    expect(vm.$el.textContent).toBe('count: 0')
+    vm.increment()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('count: 1')
+      // root bindings are reactive too
+      vm.msg = 'total'
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('total: 1')
+    }).then(done)
+  })
+
+  it('should receive props', done => {
+    const vm = new Vue({
+      data: { n: 1 },
+      template: '<test :n="n"></test>',
+      components: {
+        test: {
+          props: ['n'],
+          setup (props) {
+            return {
+              double: () => props.n * 2
+            }
+          },
+          template: '<span>{{ double() }}</span>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('2')
+    vm.n = 2
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('4')
+    }).then(done)
+  })
+
+  it('should run after injections and before data', () => {
+    const vm = new Vue({
+      provide: { foo: 'foo' },
+      template: '<test></test>',
+      components: {
+        test: {
+          inject: ['foo'],
+          setup () {
+            return { bar: Vue.getCurrentInstance().foo + 'bar' }
+          },
+          data () {
+            return { baz: this.bar + 'baz' }
+          },
+          template: '<span>{{ baz }}</span>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('foobarbaz')
+    expect(Vue.getCurrentInstance()).toBe(null)
+  })
+
+  it('should use a returned function as render function', () => {
+    const vm = new Vue({
+      setup () {
+        return h => h('div', 'from setup')
+      }
+    }).$mount()
+    expect(vm.$el.outerHTML).toBe('<div>from setup</div>')
+  })
+
+  it('should register lifecycle hooks', done => {
+    const calls = []
+    const Test = {
+      props: ['n'],
+      setup (props) {
+        Vue.onBeforeMount(() => calls.push('beforeMount ' + props.n))
+        Vue.onMounted(() => calls.push('mounted ' + props.n))
+        Vue.onBeforeUpdate(() => calls.push('beforeUpdate ' + props.n))
+        Vue.onUpdated(() => calls.push('updated ' + props.n))
+        Vue.onBeforeUnmount(() => calls.push('beforeUnmount ' + props.n))
+        Vue.onUnmounted(() => calls.push('unmounted ' + props.n))
+      },
+      mounted () {
+        calls.push('mounted option ' + this.n)
+      },
+      template: '<span>{{ n }}</span>'
+    }
+    const vm = new Vue({
+      data: { n: 1, ok: true },
+      template: '<div v-if="ok"><test :n="n"></test><test :n="0"></test></div>',
+      components: { test: Test }
+    }).$mount()
+    // each instance registers its own hooks
+    expect(calls).toEqual([
+      'beforeMount 1', 'beforeMount 0',
+      'mounted option 1', 'mounted 1',
+      'mounted option 0', 'mounted 0'
+    ])
+    calls.length = 0
+    vm.n = 2
+    waitForUpdate(() => {
+      expect(calls).toEqual(['beforeUpdate 2', 'updated 2'])
+      calls.length = 0
+      vm.ok = false
+    }).then(() => {
+      expect(calls).toEqual([
+        'beforeUnmount 2', 'unmounted 2',
+        'beforeUnmount 0', 'unmounted 0'
+      ])
+    }).then(done)
+  })
+
+  it('should provide attrs, slots and emit', () => {
+    const onChange = jasmine.createSpy('change')
+    let context
+    const vm = new Vue({
+      methods: { onChange },
+      template: '<test id="foo" @change="onChange">slot</test>',
+      components: {
+        test: {
+          setup (props, ctx) {
+            context = ctx
+            return h => h('div', [ctx.attrs.id, ctx.slots.default()])
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('fooslot')
+    expect(Object.keys(context.listeners)).toEqual(['change'])
+    context.emit('change', 1)
+    expect(onChange).toHaveBeenCalledWith(1)
+  })
+
+  it('should handle errors', () => {
+    const err = new Error('setup')
+    const spy = jasmine.createSpy('errorCaptured').and.returnValue(false)
+    new Vue({
+      errorCaptured: spy,
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          setup () {
+            throw err
+          },
+          template: '<span></span>'
+        }
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith(err, jasmine.any(Object), 'setup()')
+    expect(Vue.getCurrentInstance()).toBe(null)
+  })
+
+  it('should warn invalid usage', () => {
+    Vue.onMounted(() => {})
+    expect(
+      'onMounted() is called when there is no active component instance'
+    ).toHaveBeenWarned()
+
+    new Vue({
+      props: ['foo'],
+      propsData: { foo: 1 },
+      setup () {
+        return { foo: 2, _bar: 3 }
+      }
+    })
+    expect('setup() return property "foo" is already declared as a prop.').toHaveBeenWarned()
+    expect('setup() return property "_bar" should not start with "$" or "_"').toHaveBeenWarned()
+
+    new Vue({
+      setup () {
+        return 1
+      }
+    })
+    expect(
+      'setup() should return an object or a render function. Received: number'
+    ).toHaveBeenWarned()
+
+    const vm = new Vue({
+      data: () => ({ msg: 'data' }),
+      setup () {
+        return { msg: 'setup' }
+      }
+    })
+    expect('The data property "msg" is already returned by setup().').toHaveBeenWarned()
+    expect(vm.msg).toBe('setup')
+  })
+
+  it('should warn methods and computed properties returned by setup()', () => {
+    const vm = new Vue({
+      methods: {
+        foo () {
+          return 'method'
+        }
+      },
+      computed: {
+        bar () {
+          return 'computed'
+        }
+      },
+      setup () {
+        return { foo: 'setup foo', bar: 'setup bar' }
+      }
+    })
+    expect('Method "foo" is already returned by setup().').toHaveBeenWarned()
+    expect('The computed property "bar" is already returned by setup().').toHaveBeenWarned()
+    // the bindings returned by setup() are left untouched
+    expect(vm.foo).toBe('setup foo')
+    expect(vm.bar).toBe('setup bar')
+    expect(vm._setupState.foo).toBe('setup foo')
+  })
+
+  it('should warn computed properties of components returned by setup()', () => {
+    const Comp = Vue.extend({
+      computed: {
+        bar () {
+          return 'computed'
+        }
+      },
+      setup () {
+        return { bar: 'setup bar' }
+      }
+    })
+    const vm = new Comp()
+    expect('The computed property "bar" is already returned by setup().').toHaveBeenWarned()
+    expect(vm.bar).toBe('setup bar')
+  })
+})
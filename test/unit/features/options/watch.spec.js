@@ -175,4 +175,191 @@ describe('Options watch', () => {
     })
     expect(`Failed watching path`).not.toHaveBeenWarned()
   })
+
+  it('onTrack / onTrigger', done => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: {
+        obj: { a: 1 }
+      },
+      watch: {
+        'obj.a': {
+          handler: spy,
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    const watcher = vm._watchers[0]
+    expect(onTrack.calls.count()).toBe(2)
+    expect(onTrack.calls.argsFor(0)[0]).toEqual({
+      effect: watcher,
+      target: vm._data,
+      type: 'get',
+      key: 'obj'
+    })
+    expect(onTrack.calls.argsFor(1)[0]).toEqual({
+      effect: watcher,
+      target: vm.obj,
+      type: 'get',
+      key: 'a'
+    })
+    vm.obj.a = 2
+    expect(onTrigger.calls.count()).toBe(1)
+    expect(onTrigger.calls.argsFor(0)[0]).toEqual({
+      effect: watcher,
+      target: vm.obj,
+      type: 'set',
+      key: 'a',
+      newValue: 2,
+      oldValue: 1
+    })
+    Vue.set(vm.obj, 'b', 1)
+    Vue.delete(vm.obj, 'b')
+    expect(onTrigger.calls.count()).toBe(3)
+    expect(onTrigger.calls.argsFor(1)[0].type).toBe('add')
+    expect(onTrigger.calls.argsFor(2)[0].type).toBe('delete')
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2, 1)
+    }).then(done)
+  })
+
+  it('onTrigger with Map and Set', () => {
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: {
+        map: new Map(),
+        set: new Set()
+      }
+    })
+    vm.$watch(() => [vm.map.get('a'), vm.set.size], spy, { onTrigger })
+    vm.map.set('a', 1)
+    vm.map.set('a', 2)
+    vm.set.add(1)
+    vm.map.delete('a')
+    vm.set.clear()
+    expect(onTrigger.calls.allArgs().map(args => args[0].type)).toEqual([
+      'add', 'set', 'add', 'delete', 'clear'
+    ])
+    expect(onTrigger.calls.argsFor(1)[0].oldValue).toBe(1)
+  })
+
+  it('should watch changes inside the values of an iterated Set', done => {
+    const vm = new Vue({
+      data: {
+        set: new Set([[1]])
+      }
+    })
+    vm.$watch(() => {
+      let sum = 0
+      for (const items of vm.set) {
+        items.forEach(item => { sum += item })
+      }
+      return sum
+    }, spy)
+    vm.set.values().next().value.push(2)
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(3, 1)
+    }).then(done)
+  })
+
+  describe('flush', () => {
+    it('pre (default) should run before the DOM is patched', done => {
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}</div>',
+        watch: {
+          a: {
+            handler () {
+              spy(this.$el.textContent)
+            },
+            flush: 'pre'
+          }
+        }
+      }).$mount()
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith('1')
+      }).then(done)
+    })
+
+    it('post should run after the DOM is patched', done => {
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}</div>',
+        watch: {
+          a: {
+            handler () {
+              spy(this.$el.textContent)
+            },
+            flush: 'post'
+          }
+        }
+      }).$mount()
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith('2')
+      }).then(done)
+    })
+
+    it('post should run after child components are patched', done => {
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div><test :a="a" /></div>',
+        components: {
+          test: {
+            props: ['a'],
+            template: '<span>{{ a }}</span>'
+          }
+        }
+      }).$mount()
+      vm.$watch('a', () => {
+        spy(vm.$el.textContent)
+      }, { flush: 'post' })
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith('2')
+      }).then(done)
+    })
+
+    it('post should re-render when mutating state', done => {
+      const vm = new Vue({
+        data: { a: 1, b: 1 },
+        template: '<div>{{ a }} {{ b }}</div>',
+        watch: {
+          a: {
+            handler (val) {
+              this.b = val * 2
+            },
+            flush: 'post'
+          }
+        }
+      }).$mount()
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('2 4')
+      }).then(done)
+    })
+
+    it('sync should run synchronously', () => {
+      const vm = new Vue({
+        data: { a: 1 }
+      })
+      vm.$watch('a', spy, { flush: 'sync' })
+      vm.a = 2
+      expect(spy).toHaveBeenCalledWith(2, 1)
+      vm.a = 3
+      expect(spy).toHaveBeenCalledWith(3, 2)
+      expect(spy.calls.count()).toBe(2)
+    })
+
+    it('should warn invalid flush option', () => {
+      const vm = new Vue({
+        data: { a: 1 }
+      })
+      vm.$watch('a', spy, { flush: 'later' })
+      expect('Invalid flush option "later" for watcher "a"').toHaveBeenWarned()
+    })
+  })
 })
@@ -224,4 +224,20 @@ describe('ref', () => {
       expect(vm.$refs.test).toBe(vm.$children[0])
     }).then(done)
   })
+
+  it('should register on abstract components', () => {
+    const vm = new Vue({
+      template: `<div>
+        <keep-alive ref="keepAlive"><test></test></keep-alive>
+        <transition ref="transition"><test2></test2></transition>
+      </div>`,
+      components
+    }).$mount()
+    // abstract components are not listed in $children
+    expect(vm.$refs.keepAlive.$options.name).toBe('keep-alive')
+    expect(vm.$refs.transition.$options.name).toBe('transition')
+    expect(vm.$children.length).toBe(2)
+    expect(vm.$children[0].$parent).toBe(vm)
+    expect(vm.$children[1].$parent).toBe(vm)
+  })
 })
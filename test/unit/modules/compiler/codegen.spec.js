@@ -172,6 +172,20 @@ describe('codegen', () => {
     )
   })
 
+  it('generate named v-model on custom component', () => {
+    assertCodegen(
+      '<my-component v-model:title="test" />',
+      `with(this){return _c('my-component',{attrs:{"title":test},on:{"update:title":function($event){test=$event}}})}`
+    )
+  })
+
+  it('generate v-model custom modifiers on custom component', () => {
+    assertCodegen(
+      '<my-component v-model.trim.capitalize="test" />',
+      `with(this){return _c('my-component',{model:{value:(test),callback:function ($$v) {test=(typeof $$v === 'string'? $$v.trim(): $$v)},expression:"test",modifiers:{"capitalize":true}}})}`
+    )
+  })
+
   it('generate template tag', () => {
     assertCodegen(
       '<div><template><p>{{hello}}</p></template></div>',
@@ -179,6 +193,13 @@ describe('codegen', () => {
     )
   })
 
+  it('generate multiple root elements', () => {
+    assertCodegen(
+      '<td>{{a}}</td><td v-if="b">b</td><td v-else>c</td>',
+      `with(this){return [_c('td',[_v(_s(a))]),(b)?_c('td',[_v("b")]):_c('td',[_v("c")])]}`
+    )
+  })
+
   it('generate single slot', () => {
     assertCodegen(
       '<div><slot></slot></div>',
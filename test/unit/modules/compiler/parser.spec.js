@@ -87,9 +87,13 @@ describe('parser', () => {
     expect('text "after root {{ interpolation }}" outside root element will be ignored.').toHaveBeenWarned()
   })
 
-  it('warn multiple root elements', () => {
-    parse('<div></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('multiple root elements', () => {
+    const ast = parse('<div></div> <span></span>', baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].tag).toBe('div')
+    expect(ast.children[0].parent).toBe(ast)
+    expect(ast.children[1].tag).toBe('span')
   })
 
   it('remove duplicate whitespace text nodes caused by comments', () => {
@@ -190,24 +194,27 @@ describe('parser', () => {
     expect(astMore.ifConditions[4].block.tag).toBe('p')
   })
 
-  it('warn 2 root elements with v-if', () => {
-    parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 3 root elements with v-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('multiple root elements with v-if', () => {
+    const ast = parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].if).toBe('1')
+    expect(ast.children[1].if).toBe('2')
   })
 
-  it('warn 3 root elements with v-if and v-else-if on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('multiple root elements with v-if, v-else-if and v-else', () => {
+    const ast = parse('<div v-if="1"></div><p v-else-if="2"></p><span v-else></span><div></div>', baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].ifConditions.length).toBe(3)
+    expect(ast.children[0].ifConditions[1].block.tag).toBe('p')
+    expect(ast.children[0].ifConditions[2].block.tag).toBe('span')
+    expect(ast.children[1].tag).toBe('div')
   })
 
-  it('warn 4 root elements with v-if, v-else-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('warn v-else on root element without v-if', () => {
+    parse('<div></div><div v-else></div>', baseOptions)
+    expect('v-else used on element <div> without corresponding v-if').toHaveBeenWarned()
   })
 
   it('warn 2 root elements with v-if and v-else with v-for on 2nd', () => {
@@ -222,9 +229,9 @@ describe('parser', () => {
       .toHaveBeenWarned()
   })
 
-  it('warn <template> as root element', () => {
+  it('not warn <template> as root element', () => {
     parse('<template></template>', baseOptions)
-    expect('Cannot use <template> as component root element').toHaveBeenWarned()
+    expect('Cannot use <template> as component root element').not.toHaveBeenWarned()
   })
 
   it('warn <slot> as root element', () => {
@@ -344,6 +344,142 @@ describe('Observer', () => {
     })
   })
 
+  it('create on Map and Set', () => {
+    const map = new Map([['a', {}]])
+    const ob1 = observe(map)
+    expect(ob1 instanceof Observer).toBe(true)
+    expect(map.__ob__).toBe(ob1)
+    // should've observed values
+    expect(map.get('a').__ob__ instanceof Observer).toBe(true)
+
+    const set = new Set([{}])
+    const ob2 = observe(set)
+    expect(ob2 instanceof Observer).toBe(true)
+    set.forEach(item => {
+      expect(item.__ob__ instanceof Observer).toBe(true)
+    })
+
+    expect(observe(new WeakMap()) instanceof Observer).toBe(true)
+    expect(observe(new WeakSet()) instanceof Observer).toBe(true)
+  })
+
+  it('should not observe collection subclasses', () => {
+    class MyMap extends Map {}
+    expect(observe(new MyMap())).toBeUndefined()
+  })
+
+  it('observing Map mutation', () => {
+    const map = new Map()
+    const ob = observe(map)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const objs = [{}, {}]
+    map.set('a', objs[0])
+    map.set('a', objs[0]) // same value, no trigger
+    map.set('b', objs[1])
+    map.set('c', NaN)
+    map.set('c', NaN) // NaN -> NaN, no trigger
+    map.delete('b')
+    map.delete('b') // missing key, no trigger
+    map.clear()
+    map.clear() // already empty, no trigger
+    expect(dep.notify.calls.count()).toBe(5)
+    // inserted values should be observed
+    objs.forEach(obj => {
+      expect(obj.__ob__ instanceof Observer).toBe(true)
+    })
+  })
+
+  it('observing Set mutation', () => {
+    const set = new Set()
+    const ob = observe(set)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    set.add(obj)
+    set.add(obj) // existing item, no trigger
+    set.delete(obj)
+    set.add(1)
+    set.clear()
+    expect(dep.notify.calls.count()).toBe(4)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('observing WeakMap and WeakSet mutation', () => {
+    const key = {}
+    const weakMap = new WeakMap()
+    const weakSet = new WeakSet()
+    const mapDep = observe(weakMap).dep
+    const setDep = observe(weakSet).dep
+    spyOn(mapDep, 'notify')
+    spyOn(setDep, 'notify')
+    const value = {}
+    weakMap.set(key, value)
+    weakMap.delete(key)
+    weakSet.add(key)
+    weakSet.add(key)
+    weakSet.delete(key)
+    expect(mapDep.notify.calls.count()).toBe(2)
+    expect(setDep.notify.calls.count()).toBe(2)
+    expect(value.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('collecting dependencies on collection reads', () => {
+    const map = new Map([['a', [1]]])
+    const set = new Set([1])
+    observe(map)
+    observe(set)
+    const watcher = {
+      deps: [],
+      addDep (dep) {
+        this.deps.push(dep)
+      }
+    }
+    Dep.target = watcher
+    map.get('a')
+    map.has('a')
+    map.size
+    map.forEach(() => {})
+    set.has(1)
+    set.values()
+    Dep.target = null
+    // map.get and map.forEach also depend on the nested array
+    expect(watcher.deps.length).toBe(8)
+    expect(watcher.deps[1]).toBe(map.get('a').__ob__.dep)
+    expect(watcher.deps[5]).toBe(map.get('a').__ob__.dep)
+  })
+
+  it('collecting dependencies on the values of an iterated collection', () => {
+    const array = [1]
+    const set = new Set([array])
+    const map = new Map([['a', array]])
+    observe(set)
+    observe(map)
+    const dep = array.__ob__.dep
+    const iterations = [
+      () => set.forEach(() => {}),
+      () => Array.from(set),
+      () => Array.from(set.values()),
+      () => Array.from(set.entries()),
+      () => map.forEach(() => {}),
+      () => Array.from(map),
+      () => Array.from(map.values()),
+      () => Array.from(map.entries())
+    ]
+    iterations.forEach(iterate => {
+      const watcher = {
+        deps: [],
+        addDep (dep) {
+          this.deps.push(dep)
+        }
+      }
+      Dep.target = watcher
+      iterate()
+      Dep.target = null
+      expect(watcher.deps).toContain(dep)
+    })
+  })
+
   it('warn set/delete on non valid values', () => {
     try {
       setProp(null, 'foo', 1)
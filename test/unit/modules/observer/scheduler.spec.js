@@ -1,8 +1,6 @@
 import Vue from 'vue'
-import {
-  MAX_UPDATE_COUNT,
-  queueWatcher as _queueWatcher
-} from 'core/observer/scheduler'
+import { MAX_UPDATE_COUNT } from 'shared/constants'
+import { queueWatcher as _queueWatcher } from 'core/observer/scheduler'
 
 function queueWatcher (watcher) {
   watcher.vm = {} // mock vm
@@ -126,6 +124,65 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  it('should respect config.maxUpdateCount', done => {
+    const original = Vue.config.maxUpdateCount
+    Vue.config.maxUpdateCount = 10
+    let count = 0
+    const job = {
+      id: 1,
+      run () {
+        count++
+        queueWatcher(job)
+      }
+    }
+    queueWatcher(job)
+    waitForUpdate(() => {
+      expect(count).toBe(11)
+      expect('exceeded config.maxUpdateCount of 10').toHaveBeenWarned()
+      Vue.config.maxUpdateCount = original
+    }).then(done)
+  })
+
+  it('should report the watchers and keys involved in an update loop', done => {
+    const vm = new Vue({
+      data: { a: 0, b: 0 },
+      watch: {
+        a () { this.b++ },
+        b () { this.a++ }
+      }
+    })
+    vm.a++
+    waitForUpdate(() => {
+      expect(
+        'watcher "a" of <Root> was re-queued by watcher "b" of <Root> (set "a")'
+      ).toHaveBeenWarned()
+      expect(
+        'watcher "b" of <Root> was re-queued by watcher "a" of <Root> (set "b")'
+      ).toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('should include component traces of other components in the loop', done => {
+    const vm = new Vue({
+      data: { n: 0 },
+      template: '<div><child :n="n"></child></div>',
+      components: {
+        child: {
+          props: ['n'],
+          template: '<span>{{ n }}</span>',
+          watch: {
+            n () { this.$parent.n++ }
+          }
+        }
+      }
+    }).$mount()
+    vm.n++
+    waitForUpdate(() => {
+      expect('render function of <Root> was re-queued by watcher "n" of <Child> (set "n")').toHaveBeenWarned()
+      expect('found in\n\n---> <Child>').toHaveBeenWarned()
+    }).then(done)
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
@@ -177,4 +234,143 @@ describe('Scheduler', () => {
       })
     })
   })
+
+  describe('time-sliced flush', () => {
+    beforeEach(() => {
+      Vue.config.flushTimeBudget = 5
+    })
+
+    afterEach(() => {
+      Vue.config.flushTimeBudget = 0
+    })
+
+    function busyWait (ms) {
+      const start = Date.now()
+      while (Date.now() - start < ms) {}
+    }
+
+    function waitUntil (condition, cb) {
+      if (condition()) {
+        cb()
+      } else {
+        setTimeout(() => waitUntil(condition, cb), 5)
+      }
+    }
+
+    it('should yield after the time budget is used up', done => {
+      const calls = []
+      for (let i = 1; i <= 3; i++) {
+        queueWatcher({
+          id: i,
+          run () {
+            calls.push(i)
+            busyWait(6)
+          }
+        })
+      }
+      Vue.nextTick(() => {
+        // only the first slice has run
+        expect(calls).toEqual([1])
+        waitUntil(() => calls.length === 3, () => {
+          expect(calls).toEqual([1, 2, 3])
+          done()
+        })
+      })
+    })
+
+    it('should keep order for watchers queued while yielded', done => {
+      const calls = []
+      queueWatcher({
+        id: 1,
+        run () {
+          calls.push(1)
+          busyWait(6)
+        }
+      })
+      queueWatcher({
+        id: 4,
+        run () { calls.push(4) }
+      })
+      Vue.nextTick(() => {
+        expect(calls).toEqual([1])
+        queueWatcher({
+          id: 3,
+          run () { calls.push(3) }
+        })
+        queueWatcher({
+          id: 2,
+          run () { calls.push(2) }
+        })
+        waitUntil(() => calls.length === 4, () => {
+          expect(calls).toEqual([1, 2, 3, 4])
+          done()
+        })
+      })
+    })
+
+    it('should not count changes made while yielded as update loops', done => {
+      const original = Vue.config.maxUpdateCount
+      Vue.config.maxUpdateCount = 0
+      const calls = []
+      const job = {
+        id: 1,
+        run () {
+          calls.push(1)
+          busyWait(6)
+        }
+      }
+      queueWatcher(job)
+      queueWatcher({
+        id: 2,
+        run () { calls.push(2) }
+      })
+      Vue.nextTick(() => {
+        expect(calls).toEqual([1])
+        queueWatcher(job)
+        waitUntil(() => calls.length === 3, () => {
+          expect(calls).toEqual([1, 1, 2])
+          expect('infinite update loop').not.toHaveBeenWarned()
+          Vue.config.maxUpdateCount = original
+          done()
+        })
+      })
+    })
+
+    it('should update parents before children and call updated once', done => {
+      const updated = []
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div><test :a="a"></test>{{ a }}</div>',
+        beforeUpdate () {
+          busyWait(6)
+        },
+        updated () {
+          updated.push('parent')
+        },
+        components: {
+          test: {
+            props: ['a'],
+            template: '<span>{{ a }}{{ b }}</span>',
+            data: () => ({ b: 0 }),
+            watch: {
+              a (val) {
+                this.b = val
+              }
+            },
+            updated () {
+              updated.push('child')
+            }
+          }
+        }
+      }).$mount()
+      const child = vm.$children[0]
+      vm.a = 2
+      child.b = 1
+      waitUntil(() => updated.length > 0, () => {
+        expect(vm.$el.textContent).toBe('222')
+        expect(updated).toEqual(['child', 'parent'])
+        done()
+      })
+    })
+  })
 })
@@ -5,7 +5,14 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  App,
+  AppConfig,
+  VueElementConstructor,
+  EffectScope,
+  DepsGraph,
+  WatcherInfo,
+  DepInfo
 } from "./vue";
 
 export {
@@ -14,12 +21,19 @@ export {
   ComponentOptions,
   FunctionalComponentOptions,
   RenderContext,
+  SetupContext,
   PropType,
   PropOptions,
+  PropSchema,
+  PropSchemaOptions,
   ComputedOptions,
+  AsyncComputedOptions,
+  AsyncComputedState,
   WatchHandler,
   WatchOptions,
   WatchOptionsWithHandler,
+  WatchEffectOptions,
+  DebuggerEvent,
   DirectiveFunction,
   DirectiveOptions
 } from "./options";
@@ -41,7 +41,7 @@ export type AsyncComponentFactory<Data=DefaultData<never>, Methods=DefaultMethod
  * to infer from the shape of `Accessors<Computed>` and work backwards.
  */
 export type Accessors<T> = {
-  [K in keyof T]: (() => T[K]) | ComputedOptions<T[K]>
+  [K in keyof T]: (() => T[K]) | ComputedOptions<T[K]> | AsyncComputedOptions<T[K]>
 }
 
 type DataDef<Data, Props, V> = Data | ((this: Readonly<Props> & V) => Data)
@@ -78,11 +78,12 @@ export interface ComponentOptions<
   computed?: Accessors<Computed>;
   methods?: Methods;
   watch?: Record<string, WatchOptionsWithHandler<any> | WatchHandler<any>>;
+  setup?(this: void, props: Props, context: SetupContext): Record<string, any> | ((createElement: CreateElement) => VNode | VNode[]) | void;
 
   el?: Element | string;
   template?: string;
   // hack is for functional component type inference, should not be used in user code
-  render?(createElement: CreateElement, hack: RenderContext<Props>): VNode;
+  render?(createElement: CreateElement, hack: RenderContext<Props>): VNode | VNode[];
   renderError?(createElement: CreateElement, err: Error): VNode;
   staticRenderFns?: ((createElement: CreateElement) => VNode)[];
 
@@ -96,8 +97,10 @@ export interface ComponentOptions<
   updated?(): void;
   activated?(): void;
   deactivated?(): void;
-  errorCaptured?(err: Error, vm: Vue, info: string): boolean | void;
+  errorCaptured?(err: Error, vm: Vue, info: string, detail?: string): boolean | void;
   serverPrefetch?(this: V): Promise<void>;
+  renderTracked?(e: DebuggerEvent): void;
+  renderTriggered?(e: DebuggerEvent): void;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -107,6 +110,8 @@ export interface ComponentOptions<
   provide?: object | (() => object);
   inject?: InjectOptions;
 
+  emits?: EmitsOptions;
+
   model?: {
     prop?: string;
     event?: string;
@@ -120,6 +125,15 @@ export interface ComponentOptions<
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  // injected into the shadow root when used as a custom element
+  styles?: string[];
+}
+
+export interface SetupContext {
+  readonly attrs: Record<string, string>;
+  readonly listeners: Record<string, Function | Function[]>;
+  readonly slots: { [key: string]: NormalizedScopedSlot | undefined };
+  emit(event: string, ...args: any[]): Vue;
 }
 
 export interface FunctionalComponentOptions<Props = DefaultProps, PropDefs = PropsDefinition<Props>> {
@@ -151,11 +165,29 @@ export type PropType<T> = Prop<T> | Prop<T>[];
 
 export type PropValidator<T> = PropOptions<T> | PropType<T>;
 
+export interface PropSchemaOptions {
+  type?: PropType<any>;
+  required?: boolean;
+  nullable?: boolean;
+  enum?: any[];
+  oneOf?: PropSchema[];
+  shape?: Record<string, PropSchema>;
+  items?: PropSchema;
+  validator?(value: any): boolean;
+}
+
+export type PropSchema = PropType<any> | PropSchemaOptions;
+
 export interface PropOptions<T=any> {
   type?: PropType<T>;
   required?: boolean;
-  default?: T | null | undefined | (() => T | null | undefined);
+  default?: T | null | undefined | ((props: Readonly<Record<string, any>>, injections: Record<string, any>) => T | null | undefined);
   validator?(value: T): boolean;
+  nullable?: boolean;
+  enum?: T[];
+  oneOf?: PropSchema[];
+  shape?: Record<string, PropSchema>;
+  items?: PropSchema;
 }
 
 export type RecordPropsDefinition<T> = {
@@ -168,6 +200,22 @@ export interface ComputedOptions<T> {
   get?(): T;
   set?(value: T): void;
   cache?: boolean;
+  onTrack?(e: DebuggerEvent): void;
+  onTrigger?(e: DebuggerEvent): void;
+}
+
+export interface AsyncComputedOptions<T> {
+  async: true;
+  get(): Promise<T>;
+  default?: T | (() => T);
+  onTrack?(e: DebuggerEvent): void;
+  onTrigger?(e: DebuggerEvent): void;
+}
+
+export interface AsyncComputedState<T = any> {
+  value: T;
+  pending: boolean;
+  error: any;
 }
 
 export type WatchHandler<T> = string | ((val: T, oldVal: T) => void);
@@ -175,6 +223,24 @@ export type WatchHandler<T> = string | ((val: T, oldVal: T) => void);
 export interface WatchOptions {
   deep?: boolean;
   immediate?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
+  onTrack?(e: DebuggerEvent): void;
+  onTrigger?(e: DebuggerEvent): void;
+}
+
+export interface DebuggerEvent {
+  effect: object;
+  target: object;
+  type: 'get' | 'set' | 'add' | 'delete' | 'clear' | 'array-mutation';
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+}
+
+export interface WatchEffectOptions {
+  flush?: 'pre' | 'post' | 'sync';
+  onTrack?(e: DebuggerEvent): void;
+  onTrigger?(e: DebuggerEvent): void;
 }
 
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
@@ -203,5 +269,9 @@ export interface DirectiveOptions {
 export type InjectKey = string | symbol;
 
 export type InjectOptions = {
-  [key: string]: InjectKey | { from?: InjectKey, default?: any }
+  [key: string]: InjectKey | { from?: InjectKey, default?: any, reactive?: boolean }
+} | string[];
+
+export type EmitsOptions = {
+  [event: string]: ((...args: any[]) => boolean) | null
 } | string[];
@@ -90,6 +90,33 @@ Vue.component('union-prop', {
   }
 });
 
+Vue.component('schema-prop', {
+  props: {
+    user: {
+      type: Object as PropType<IUser>,
+      required: true,
+      shape: {
+        foo: { type: String, required: true },
+        bar: Number,
+        tags: { type: Array, items: String },
+        role: { enum: ['admin', 'user'] },
+        address: { type: Object, nullable: true, shape: { zip: [String, Number] } }
+      }
+    },
+    size: {
+      type: String,
+      enum: ['small', 'large']
+    },
+    label: {
+      oneOf: [String, { type: Object, shape: { text: String } }]
+    }
+  },
+  data() {
+    this.user.foo;
+    return {}
+  }
+})
+
 Vue.component('union-prop-with-no-casting', {
   props: {
     mixed: [RegExp, Array],
@@ -117,6 +144,22 @@ Vue.component('prop-with-primitive-default', {
   }
 });
 
+Vue.component('prop-with-dependent-default', {
+  inject: ['formConfig'],
+  props: {
+    variant: String,
+    size: {
+      type: String,
+      default: (props, injections) => injections.formConfig
+        ? injections.formConfig.size
+        : props.variant === 'compact' ? 'small' : 'medium'
+    }
+  },
+  created(): void {
+    this.size;
+  }
+});
+
 Vue.component('component', {
   data() {
     this.$mount
@@ -148,12 +191,20 @@ Vue.component('component', {
         this.a = v - 1;
       },
       cache: false
+    },
+    aLater: {
+      async: true,
+      get(): Promise<number> {
+        return Promise.resolve(this.a);
+      },
+      default: 0
     }
   },
   methods: {
     plus(): void {
       this.a++;
       this.aDouble.toFixed();
+      this.$asyncComputed!.aLater.pending;
       this.aPlus = 1;
       this.size.toFixed();
     }
@@ -172,6 +223,16 @@ Vue.component('component', {
     d: {
       handler: 'someMethod',
       immediate: true
+    },
+    e: {
+      handler: 'someMethod',
+      flush: 'post',
+      onTrack(e) {
+        e.key
+      },
+      onTrigger(e) {
+        e.type.toUpperCase()
+      }
     }
   },
   el: "#app",
@@ -249,15 +310,22 @@ Vue.component('component', {
   updated() {},
   activated() {},
   deactivated() {},
-  errorCaptured(err, vm, info) {
+  errorCaptured(err, vm, info, detail) {
     err.message
     vm.$emit('error')
     info.toUpperCase()
+    detail && detail.toUpperCase()
     return true
   },
   serverPrefetch () {
     return Promise.resolve()
   },
+  renderTracked(e) {
+    e.target
+  },
+  renderTriggered(e) {
+    e.newValue
+  },
 
   directives: {
     a: {
@@ -316,7 +384,8 @@ Vue.component('provide-inject', {
     injectBar: Symbol(),
     injectBaz: { from: 'baz' },
     injectQux: { default: 1 },
-    injectQuux: { from: 'quuz', default: () => ({ value: 1 })}
+    injectQuux: { from: 'quuz', default: () => ({ value: 1 })},
+    injectLinked: { from: 'foo', reactive: true }
   }
 })
 
@@ -326,12 +395,63 @@ Vue.component('provide-function', {
   })
 })
 
+Vue.component('emits-array', {
+  emits: ['change', 'close']
+})
+
+Vue.component('emits-object', {
+  emits: {
+    change: (value: number) => value > 0,
+    close: null
+  },
+  methods: {
+    change() {
+      this.$emit('change', 1)
+    }
+  }
+})
+
+Vue.component('setup-bindings', {
+  props: {
+    initial: Number
+  },
+  setup(props, { attrs, slots, emit }) {
+    const state = Vue.observable({ count: props.initial || 0 })
+    Vue.onMounted(() => {
+      emit('ready', attrs.id)
+    })
+    Vue.onBeforeUnmount(() => {})
+    const hasDefaultSlot = !!slots.default
+    return {
+      state,
+      hasDefaultSlot,
+      increment() {
+        state.count++
+      }
+    }
+  },
+  template: '<button @click="increment">{{ state.count }}</button>'
+})
+
+Vue.component('setup-render', {
+  setup() {
+    const instance = Vue.getCurrentInstance()
+    return (h: CreateElement) => h('div', instance ? instance.$attrs.id : '')
+  }
+})
+
 Vue.component('component-with-slot', {
   render (h): VNode {
     return h('div', this.$slots.default)
   }
 })
 
+Vue.component('component-with-multiple-roots', {
+  render (h): VNode[] {
+    return [h('td', 'a'), h('td', 'b')]
+  }
+})
+
 Vue.component('component-with-scoped-slot', {
   render (h) {
     interface ScopedSlotProps {
@@ -44,6 +44,11 @@ class Test extends Vue {
       deep: false
     })();
     this.$watch(() => this.a, (val: number) => {});
+    this.$watchEffect(onCleanup => {
+      const timer = setTimeout(() => this.a, 100);
+      onCleanup(() => clearTimeout(timer));
+    }, { flush: 'post' })();
+    this.$provide("theme", "dark").$provide(Symbol(), 1);
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
@@ -75,6 +80,7 @@ class Test extends Vue {
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.maxUpdateCount = 200;
   }
 
   static testMethods() {
@@ -214,6 +220,60 @@ class Decorated extends Vue {
 const obj = Vue.observable({ a: 1 })
 obj.a++
 
+const shallowObj = Vue.shallowObservable({ nested: { a: 1 } })
+shallowObj.nested = { a: 2 }
+const readonlyObj = Vue.readonly(obj)
+const rawA: number = Vue.toRaw(readonlyObj).a
+const readonlyMap: ReadonlyMap<string, number> = Vue.readonly(new Map([['a', 1]]))
+const readonlySet: ReadonlySet<number> = Vue.readonly(new Set([1]))
+const rawObj = Vue.markRaw({ rows: [1, 2, 3] })
+
+const untrackedA: number = Vue.untracked(() => obj.a)
+Vue.batch(() => {
+  obj.a++
+})
+const graph = Vue.inspectDeps(new Vue())
+if (graph) {
+  const depPaths: (string | null)[] = graph.watchers[0].deps.map(dep => dep.path)
+}
+
+const scope = Vue.effectScope()
+const scopeResult: number | undefined = scope.run(() => {
+  Vue.onScopeDispose(() => {})
+  return 1
+})
+scope.pause()
+scope.resume()
+scope.stop()
+
+const app = Vue.createApp({
+  data: () => ({ msg: 'hello' }),
+  template: '<div>{{ msg }}</div>'
+})
+app.config.errorHandler = (err, vm, info, detail) => {}
+app.config.globalProperties.$http = {}
+app
+  .use({ install() {} })
+  .mixin({ created() {} })
+  .component('app-component', { template: '<div></div>' })
+  .directive('app-directive', { bind() {} })
+  .filter('app-filter', (value: string) => value)
+  .provide('store', {})
+const appRoot = app.mount('#app')
+const appMsg: string = appRoot.msg
+app.unmount()
+
+const MyElement = Vue.defineCustomElement({
+  props: { msg: String },
+  styles: ['div { color: red; }'],
+  template: '<div>{{ msg }}</div>'
+})
+customElements.define('my-element', MyElement)
+const myElement = new MyElement()
+myElement.msg = 'hello'
+const observedAttributes: string[] = MyElement.observedAttributes
+const CtorElement = Vue.defineCustomElement(Vue.extend({ template: '<div></div>' }))
+
 // VNodeData style tests.
 const ComponentWithStyleInVNodeData = Vue.extend({
   render (h) {
@@ -11,6 +11,9 @@ import {
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  WatchEffectOptions,
+  AsyncComputedState,
+  InjectKey,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
 import { PluginFunction, PluginObject } from "./plugin";
@@ -32,6 +35,7 @@ export interface Vue {
   readonly $isServer: boolean;
   readonly $data: Record<string, any>;
   readonly $props: Record<string, any>;
+  readonly $asyncComputed: Record<string, AsyncComputedState> | undefined;
   readonly $ssrContext: any;
   readonly $vnode: VNode;
   readonly $attrs: Record<string, string>;
@@ -52,6 +56,11 @@ export interface Vue {
     callback: (this: this, n: T, o: T) => void,
     options?: WatchOptions
   ): (() => void);
+  $watchEffect(
+    effect: (this: this, onCleanup: (cleanupFn: () => void) => void) => void,
+    options?: WatchEffectOptions
+  ): (() => void);
+  $provide(key: InjectKey, value: any): this;
   $on(event: string | string[], callback: Function): this;
   $once(event: string | string[], callback: Function): this;
   $off(event?: string | string[], callback?: Function): this;
@@ -61,6 +70,34 @@ export interface Vue {
   $createElement: CreateElement;
 }
 
+export interface EffectScope {
+  readonly active: boolean;
+  readonly paused: boolean;
+  run<T>(fn: () => T): T | undefined;
+  pause(): void;
+  resume(): void;
+  stop(): void;
+}
+
+export interface DepInfo {
+  id: number;
+  type: 'property' | 'object';
+  path: string | null;
+  key: string | null;
+}
+
+export interface WatcherInfo {
+  id: number;
+  type: 'render' | 'computed' | 'watch' | 'effect';
+  name: string;
+  deps: DepInfo[];
+}
+
+export interface DepsGraph {
+  component: string;
+  watchers: WatcherInfo[];
+}
+
 export type CombinedVueInstance<Instance extends Vue, Data, Methods, Computed, Props> =  Data & Methods & Computed & Props & Instance;
 export type ExtendedVue<Instance extends Vue, Data, Methods, Computed, Props> = VueConstructor<CombinedVueInstance<Instance, Data, Methods, Computed, Props> & Vue>;
 
@@ -70,13 +107,48 @@ export interface VueConfiguration {
   devtools: boolean;
   productionTip: boolean;
   performance: boolean;
-  errorHandler(err: Error, vm: Vue, info: string): void;
+  errorHandler(err: Error, vm: Vue, info: string, detail?: string): void;
   warnHandler(msg: string, vm: Vue, trace: string): void;
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
+  flushTimeBudget: number;
+  maxUpdateCount: number;
   async: boolean;
 }
 
+export interface AppConfig {
+  errorHandler?(err: Error, vm: Vue, info: string, detail?: string): void;
+  warnHandler?(msg: string, vm: Vue, trace: string): void;
+  globalProperties: Record<string, any>;
+}
+
+export interface App<V extends Vue = Vue> {
+  version: string;
+  config: AppConfig;
+
+  use<T>(plugin: PluginObject<T> | PluginFunction<T>, options?: T): this;
+  use(plugin: PluginObject<any> | PluginFunction<any>, ...options: any[]): this;
+  mixin(mixin: VueConstructor | ComponentOptions<Vue>): this;
+
+  component(id: string): VueConstructor | undefined;
+  component(id: string, definition: Component<any, any, any, any> | AsyncComponent<any, any, any, any>): this;
+  directive(id: string): DirectiveOptions | undefined;
+  directive(id: string, definition: DirectiveOptions | DirectiveFunction): this;
+  filter(id: string): Function | undefined;
+  filter(id: string, definition: Function): this;
+
+  provide<T>(key: string | symbol, value: T): this;
+
+  mount(el?: Element | string, hydrating?: boolean): V;
+  unmount(): void;
+}
+
+export interface VueElementConstructor<V extends Vue = Vue> {
+  new (): HTMLElement & Record<string, any>;
+  readonly observedAttributes: string[];
+  readonly component: VueConstructor<V>;
+}
+
 export interface VueConstructor<V extends Vue = Vue> {
   new <Data = object, Methods = object, Computed = object, PropNames extends string = never>(options?: ThisTypedComponentOptionsWithArrayProps<V, Data, Methods, Computed, PropNames>): CombinedVueInstance<V, Data, Methods, Computed, Record<PropNames, any>>;
   // ideally, the return type should just contain Props, not Record<keyof Props, any>. But TS requires to have Base constructors with the same return type.
@@ -120,6 +192,42 @@ export interface VueConstructor<V extends Vue = Vue> {
   };
 
   observable<T>(obj: T): T;
+  shallowObservable<T>(obj: T): T;
+  readonly<K, V>(map: Map<K, V>): ReadonlyMap<K, V>;
+  readonly<T>(set: Set<T>): ReadonlySet<T>;
+  readonly<T extends object>(obj: T): Readonly<T>;
+  markRaw<T extends object>(obj: T): T;
+  toRaw<T>(obj: T): T;
+
+  untracked<T>(fn: () => T): T;
+  batch<T>(fn: () => T): T;
+
+  inspectDeps(vm: Vue): DepsGraph | null;
+
+  effectScope(detached?: boolean): EffectScope;
+  getCurrentScope(): EffectScope | undefined;
+  onScopeDispose(fn: () => void): void;
+
+  getCurrentInstance(): Vue | null;
+  onBeforeMount(fn: () => void): void;
+  onMounted(fn: () => void): void;
+  onBeforeUpdate(fn: () => void): void;
+  onUpdated(fn: () => void): void;
+  onBeforeUnmount(fn: () => void): void;
+  onUnmounted(fn: () => void): void;
+  onActivated(fn: () => void): void;
+  onDeactivated(fn: () => void): void;
+  onErrorCaptured(fn: (err: Error, vm: Vue, info: string) => boolean | void): void;
+  onServerPrefetch(fn: () => Promise<void>): void;
+
+  createApp<Data = object, Methods = object, Computed = object, PropNames extends string = never>(rootOptions?: ThisTypedComponentOptionsWithArrayProps<V, Data, Methods, Computed, PropNames>): App<CombinedVueInstance<V, Data, Methods, Computed, Record<PropNames, any>>>;
+  createApp<Data = object, Methods = object, Computed = object, Props = object>(rootOptions?: ThisTypedComponentOptionsWithRecordProps<V, Data, Methods, Computed, Props>): App<CombinedVueInstance<V, Data, Methods, Computed, Record<keyof Props, any>>>;
+  createApp(rootOptions?: ComponentOptions<V>): App<CombinedVueInstance<V, object, object, object, Record<keyof object, any>>>;
+
+  defineCustomElement<VC extends VueConstructor>(constructor: VC): VueElementConstructor<InstanceType<VC>>;
+  defineCustomElement<Data, Methods, Computed, PropNames extends string = never>(options: ThisTypedComponentOptionsWithArrayProps<V, Data, Methods, Computed, PropNames>): VueElementConstructor<CombinedVueInstance<V, Data, Methods, Computed, Record<PropNames, any>>>;
+  defineCustomElement<Data, Methods, Computed, Props>(options: ThisTypedComponentOptionsWithRecordProps<V, Data, Methods, Computed, Props>): VueElementConstructor<CombinedVueInstance<V, Data, Methods, Computed, Props>>;
+  defineCustomElement(options: ComponentOptions<V>): VueElementConstructor<V>;
 
   util: {
     warn(msg: string, vm?: InstanceType<VueConstructor>): void;